@@ -0,0 +1,69 @@
+// lib/auth.js - Admin token auth and the CORS origin allowlist
+const crypto = require('crypto');
+const { sendError } = require('./validation');
+
+// Hash both sides so timingSafeEqual always compares equal-length buffers
+function tokensMatch(candidate, token) {
+  const a = crypto.createHash('sha256').update(String(candidate)).digest();
+  const b = crypto.createHash('sha256').update(String(token)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Token from "Authorization: Bearer <token>" or "X-Admin-Token: <token>"
+function getRequestToken(req) {
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return req.get('X-Admin-Token') || null;
+}
+
+// tokens: accepted admin tokens. Several can be active at once so they can be
+// rotated without downtime. With none configured, admin access is refused
+function createAdminAuth(tokens = []) {
+  const activeTokens = tokens.filter(Boolean);
+
+  function isAdmin(req) {
+    const candidate = getRequestToken(req);
+    if (!candidate) return false;
+    // Check every token so timing doesn't reveal which one matched
+    return activeTokens.reduce((matched, token) => tokensMatch(candidate, token) || matched, false);
+  }
+
+  function requireAdmin(req, res, next) {
+    if (activeTokens.length === 0) {
+      return sendError(res, 503, 'not_configured', 'Admin access is not configured');
+    }
+    if (!isAdmin(req)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, 401, 'unauthorized', 'A valid admin token is required');
+    }
+    next();
+  }
+
+  return {
+    configured: activeTokens.length > 0,
+    isAdmin,
+    requireAdmin
+  };
+}
+
+// Exact origins plus "*" wildcards in the host, e.g. "https://*.myshopify.com".
+// A lone "*" allows every origin
+function createOriginMatcher(allowedOrigins = []) {
+  const allowAll = allowedOrigins.includes('*');
+  const patterns = allowedOrigins.filter(origin => origin !== '*').map(function(origin) {
+    const escaped = origin.replace(/\/$/, '').replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^./]+');
+    return new RegExp(`^${escaped}$`, 'i');
+  });
+
+  return function isAllowedOrigin(origin) {
+    if (allowAll) return true;
+    return patterns.some(pattern => pattern.test(origin));
+  };
+}
+
+module.exports = {
+  getRequestToken,
+  createAdminAuth,
+  createOriginMatcher
+};
@@ -0,0 +1,231 @@
+// lib/batch-jobs.js - In-memory batch jobs with bounded concurrency and per-item status
+//
+// A job is a list of items run through `runItem(spec)` with at most
+// `concurrency` in flight. Jobs run one after another so several big batches
+// can't multiply the load on Algolia. Item states:
+//   queued -> running -> done | failed        (cancel: queued -> cancelled)
+// Job states: queued, running, completed, cancelled. Failed and cancelled
+// items can be retried, which queues the job again.
+// Only the most recent `maxJobs` finished jobs are kept.
+const crypto = require('crypto');
+const { mapWithConcurrency } = require('./concurrency');
+const { logger } = require('./logger');
+
+const ITEM_STATES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+
+function createJobError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function toIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function createBatchJobs(options) {
+  const runItem = options.runItem;
+  const defaultConcurrency = options.concurrency || 2;
+  const maxJobs = options.maxJobs || 20;
+  // Label shown per item in status responses, e.g. the city name
+  const describeItem = options.describeItem || (() => ({}));
+
+  const jobs = new Map();
+  const queue = [];
+  let active = null;
+
+  function isFinished(job) {
+    return job.state === 'completed' || job.state === 'cancelled';
+  }
+
+  // Drop the oldest finished jobs past maxJobs (Map keeps insertion order)
+  function evictFinished() {
+    const finished = Array.from(jobs.values()).filter(isFinished);
+    finished.slice(0, Math.max(0, finished.length - maxJobs)).forEach(job => jobs.delete(job.id));
+  }
+
+  async function runOne(job, item) {
+    // Cancelled while waiting for a free slot
+    if (item.state !== 'queued') return;
+
+    item.state = 'running';
+    item.attempts++;
+    item.startedAt = Date.now();
+    item.error = null;
+
+    try {
+      const result = await runItem(item.spec, job.options);
+      item.state = 'done';
+      item.products = result.products !== undefined ? result.products : null;
+      item.cached = Boolean(result.cached);
+    } catch (error) {
+      item.state = 'failed';
+      item.error = error.message;
+      logger.error('Batch job item failed', { jobId: job.id, item: item.index, error });
+    } finally {
+      item.finishedAt = Date.now();
+    }
+  }
+
+  async function runJob(job) {
+    job.state = 'running';
+    job.startedAt = job.startedAt || Date.now();
+    job.finishedAt = null;
+    logger.info('Batch job started', { jobId: job.id, items: job.items.length, concurrency: job.concurrency });
+
+    const pending = job.items.filter(item => item.state === 'queued');
+    await mapWithConcurrency(pending, job.concurrency, item => runOne(job, item));
+
+    job.state = job.cancelRequested ? 'cancelled' : 'completed';
+    job.finishedAt = Date.now();
+    logger.info('Batch job finished', { jobId: job.id, state: job.state, ...countItems(job) });
+    evictFinished();
+  }
+
+  function pump() {
+    if (active || queue.length === 0) return;
+    const job = queue.shift();
+    active = runJob(job).finally(() => {
+      active = null;
+      pump();
+    });
+  }
+
+  function countItems(job) {
+    const counts = Object.fromEntries(ITEM_STATES.map(state => [state, 0]));
+    job.items.forEach(item => counts[item.state]++);
+    return counts;
+  }
+
+  function describeJob(job, describeOptions = {}) {
+    const end = job.finishedAt || Date.now();
+    return {
+      id: job.id,
+      state: job.state,
+      createdAt: toIso(job.createdAt),
+      startedAt: toIso(job.startedAt),
+      finishedAt: toIso(job.finishedAt),
+      durationMs: job.startedAt ? end - job.startedAt : null,
+      concurrency: job.concurrency,
+      total: job.items.length,
+      counts: countItems(job),
+      ...(describeOptions.items !== false && {
+        items: job.items.map(item => ({
+          index: item.index,
+          ...describeItem(item.spec),
+          state: item.state,
+          attempts: item.attempts,
+          startedAt: toIso(item.startedAt),
+          finishedAt: toIso(item.finishedAt),
+          durationMs: item.startedAt && item.finishedAt ? item.finishedAt - item.startedAt : null,
+          products: item.products,
+          cached: item.cached,
+          error: item.error
+        }))
+      })
+    };
+  }
+
+  function getJob(id) {
+    const job = jobs.get(id);
+    if (!job) throw createJobError('JOB_NOT_FOUND', `No job ${id}`);
+    return job;
+  }
+
+  return {
+    // specs: already validated item specs; jobOptions are passed to runItem
+    create(specs, jobOptions = {}) {
+      const job = {
+        id: crypto.randomUUID(),
+        state: 'queued',
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        concurrency: jobOptions.concurrency || defaultConcurrency,
+        options: jobOptions,
+        cancelRequested: false,
+        items: specs.map((spec, index) => ({
+          index,
+          spec,
+          state: 'queued',
+          attempts: 0,
+          startedAt: null,
+          finishedAt: null,
+          products: null,
+          cached: null,
+          error: null
+        }))
+      };
+
+      jobs.set(job.id, job);
+      queue.push(job);
+      pump();
+      return describeJob(job);
+    },
+
+    get(id, describeOptions) {
+      return describeJob(getJob(id), describeOptions);
+    },
+
+    // Newest first, without per-item details
+    list() {
+      return Array.from(jobs.values()).reverse().map(job => describeJob(job, { items: false }));
+    },
+
+    // Queued items are cancelled; running ones finish
+    cancel(id) {
+      const job = getJob(id);
+      if (isFinished(job)) {
+        throw createJobError('JOB_FINISHED', `Job ${id} has already finished`);
+      }
+
+      job.cancelRequested = true;
+      job.items.forEach(function(item) {
+        if (item.state === 'queued') item.state = 'cancelled';
+      });
+
+      const queued = queue.indexOf(job);
+      if (queued !== -1) {
+        queue.splice(queued, 1);
+        job.state = 'cancelled';
+        job.finishedAt = Date.now();
+      }
+      return describeJob(job);
+    },
+
+    // Queues failed and cancelled items of a finished job again
+    retry(id) {
+      const job = getJob(id);
+      if (!isFinished(job)) {
+        throw createJobError('JOB_ACTIVE', `Job ${id} is still ${job.state}`);
+      }
+
+      const retryable = job.items.filter(item => item.state === 'failed' || item.state === 'cancelled');
+      if (retryable.length === 0) {
+        throw createJobError('NOTHING_TO_RETRY', `Job ${id} has no failed or cancelled items`);
+      }
+
+      retryable.forEach(function(item) {
+        item.state = 'queued';
+      });
+      job.state = 'queued';
+      job.cancelRequested = false;
+      queue.push(job);
+      pump();
+      return describeJob(job);
+    },
+
+    stats() {
+      return {
+        retained: jobs.size,
+        queued: queue.length,
+        running: active ? 1 : 0
+      };
+    }
+  };
+}
+
+module.exports = {
+  ITEM_STATES,
+  createBatchJobs
+};
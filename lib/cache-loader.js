@@ -0,0 +1,130 @@
+// lib/cache-loader.js - Stale-while-revalidate reads with request coalescing
+const { logger } = require('./logger');
+
+// Wraps a cache store so endpoints only describe how to build an entry:
+//   - fresh entries are returned as-is ('hit')
+//   - entries past their TTL but inside the stale window are returned
+//     immediately ('stale') while one background refresh rebuilds them
+//   - missing entries are built once, and concurrent callers for the same key
+//     share that single in-flight build ('miss' for the first, 'coalesced' after)
+//   - when a build fails, the last known entry is returned regardless of its
+//     age ('fallback', with the error attached) so callers can degrade gracefully
+function createCacheLoader(cache, options = {}) {
+  const ttls = options.ttls || {};
+  const staleTtls = options.staleTtls || {};
+  const inFlight = new Map();
+  // Called with (type, status) for every load, e.g. to export hit rates per endpoint
+  const onLoad = options.onLoad || (() => {});
+
+  const counters = {
+    hits: 0,
+    stale: 0,
+    misses: 0,
+    coalesced: 0,
+    refreshes: 0,
+    refreshErrors: 0,
+    fallbacks: 0
+  };
+
+  function getAge(entry) {
+    return Date.now() - entry.timestamp;
+  }
+
+  function isFresh(entry, type) {
+    return getAge(entry) < ttls[type];
+  }
+
+  // Run the producer once per key and store its entry; later callers join the
+  // pending promise instead of starting another Algolia request
+  function build(key, type, producer) {
+    if (inFlight.has(key)) {
+      return { promise: inFlight.get(key), joined: true };
+    }
+
+    const promise = (async () => {
+      try {
+        const entry = await producer();
+        await cache.set(key, entry, { ttlMs: ttls[type] + (staleTtls[type] || 0) });
+        return entry;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, promise);
+    return { promise, joined: false };
+  }
+
+  function refreshInBackground(key, type, producer) {
+    if (inFlight.has(key)) return;
+
+    counters.refreshes++;
+    logger.info('Background refresh started', { key });
+
+    build(key, type, producer).promise.catch(error => {
+      counters.refreshErrors++;
+      logger.error('Background refresh failed', { key, error });
+    });
+  }
+
+  return {
+    // Returns { entry, status, error? } where status is
+    // hit | stale | miss | coalesced | fallback
+    async load(key, type, producer, loadOptions = {}) {
+      if (!loadOptions.force) {
+        const cached = await cache.get(key);
+
+        if (cached && isFresh(cached, type)) {
+          counters.hits++;
+          onLoad(type, 'hit');
+          return { entry: cached, status: 'hit' };
+        }
+
+        if (cached) {
+          counters.stale++;
+          refreshInBackground(key, type, producer);
+          onLoad(type, 'stale');
+          return { entry: cached, status: 'stale' };
+        }
+      }
+
+      const { promise, joined } = build(key, type, producer);
+      if (joined) {
+        counters.coalesced++;
+      } else {
+        counters.misses++;
+      }
+
+      try {
+        const entry = await promise;
+        onLoad(type, joined ? 'coalesced' : 'miss');
+        return { entry, status: joined ? 'coalesced' : 'miss' };
+      } catch (error) {
+        const lastKnown = await cache.get(key);
+        if (!lastKnown) {
+          onLoad(type, 'error');
+          throw error;
+        }
+
+        counters.fallbacks++;
+        onLoad(type, 'fallback');
+        return { entry: lastKnown, status: 'fallback', error };
+      }
+    },
+
+    getAge,
+
+    isFresh,
+
+    stats() {
+      return {
+        ...counters,
+        inFlight: inFlight.size
+      };
+    }
+  };
+}
+
+module.exports = {
+  createCacheLoader
+};
@@ -0,0 +1,579 @@
+// lib/cache-store.js - Pluggable cache stores (memory, file snapshot, external key-value)
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Every store exposes the same async interface so the endpoints don't care
+// which backend is active:
+//   get(key), peek(key), set(key, entry, { ttlMs }), delete(key), keys(), size(),
+//   clear(), stats(), close()
+// peek() reads without touching LRU order or hit/miss counters (used for scans)
+// Entries are plain JSON-serializable objects ({ data, timestamp, ... }).
+
+// Timed snapshot writes go out in chunks of about this many characters
+const FLUSH_CHUNK_CHARS = 1024 * 1024;
+
+function entrySize(entry) {
+  return Buffer.byteLength(JSON.stringify(entry));
+}
+
+// In-memory LRU store with an entry cap and a byte budget. Map iteration order
+// is insertion order, so re-inserting on every read keeps the least recently
+// used key at the front.
+// options.partitions gives key prefixes a budget of their own, e.g.
+// { 'map-tile:': { maxBytes } }: their entries don't count towards the shared
+// maxEntries/maxBytes and only ever evict each other
+function createMemoryStore(options = {}) {
+  const maxEntries = options.maxEntries || Infinity;
+  const maxBytes = options.maxBytes || Infinity;
+  const records = new Map();
+
+  const shared = { maxEntries, maxBytes, entries: 0, bytes: 0 };
+  const partitions = Object.keys(options.partitions || {}).map(function(prefix) {
+    const limits = options.partitions[prefix];
+    return {
+      prefix,
+      maxEntries: limits.maxEntries || Infinity,
+      maxBytes: limits.maxBytes || Infinity,
+      entries: 0,
+      bytes: 0
+    };
+  });
+
+  function getPartition(key) {
+    return partitions.find(partition => key.startsWith(partition.prefix)) || shared;
+  }
+
+  const counters = {
+    hits: 0,
+    misses: 0,
+    evictions: 0,
+    expirations: 0,
+    rejected: 0
+  };
+  let totalBytes = 0;
+
+  function removeRecord(key) {
+    const record = records.get(key);
+    if (!record) return false;
+    records.delete(key);
+    totalBytes -= record.bytes;
+
+    const partition = getPartition(key);
+    partition.entries--;
+    partition.bytes -= record.bytes;
+    return true;
+  }
+
+  function isExpired(record, now) {
+    return record.expiresAt !== null && now >= record.expiresAt;
+  }
+
+  function evictLeastRecentlyUsed(partition) {
+    const keys = records.keys();
+    while (partition.entries > partition.maxEntries || partition.bytes > partition.maxBytes) {
+      const { value: key, done } = keys.next();
+      if (done) break;
+      if (getPartition(key) !== partition) continue;
+      removeRecord(key);
+      counters.evictions++;
+    }
+  }
+
+  function insertRecord(key, record) {
+    removeRecord(key);
+    const partition = getPartition(key);
+
+    // A single entry larger than the whole budget would evict everything else
+    if (record.bytes > partition.maxBytes) {
+      counters.rejected++;
+      return false;
+    }
+
+    records.set(key, record);
+    totalBytes += record.bytes;
+    partition.entries++;
+    partition.bytes += record.bytes;
+    evictLeastRecentlyUsed(partition);
+    return true;
+  }
+
+  // Drop every expired entry (reads also drop them lazily)
+  function prune() {
+    const now = Date.now();
+    let removed = 0;
+    records.forEach(function(record, key) {
+      if (isExpired(record, now)) {
+        removeRecord(key);
+        counters.expirations++;
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  if (options.sweepIntervalMs) {
+    setInterval(prune, options.sweepIntervalMs).unref();
+  }
+
+  return {
+    backend: 'memory',
+
+    async get(key) {
+      const record = records.get(key);
+      if (!record) {
+        counters.misses++;
+        return undefined;
+      }
+
+      if (isExpired(record, Date.now())) {
+        removeRecord(key);
+        counters.expirations++;
+        counters.misses++;
+        return undefined;
+      }
+
+      // Move to the most recently used position
+      records.delete(key);
+      records.set(key, record);
+      counters.hits++;
+      return record.entry;
+    },
+
+    async peek(key) {
+      const record = records.get(key);
+      if (!record || isExpired(record, Date.now())) return undefined;
+      return record.entry;
+    },
+
+    async set(key, entry, setOptions = {}) {
+      return insertRecord(key, {
+        entry,
+        bytes: entrySize(entry),
+        expiresAt: setOptions.ttlMs ? Date.now() + setOptions.ttlMs : null
+      });
+    },
+
+    async delete(key) {
+      return removeRecord(key);
+    },
+
+    async keys() {
+      return Array.from(records.keys());
+    },
+
+    async size() {
+      return records.size;
+    },
+
+    async clear() {
+      records.clear();
+      totalBytes = 0;
+      [shared, ...partitions].forEach(function(partition) {
+        partition.entries = 0;
+        partition.bytes = 0;
+      });
+    },
+
+    async prune() {
+      return prune();
+    },
+
+    async stats() {
+      return {
+        backend: 'memory',
+        size: records.size,
+        bytes: totalBytes,
+        maxEntries: Number.isFinite(maxEntries) ? maxEntries : null,
+        maxBytes: Number.isFinite(maxBytes) ? maxBytes : null,
+        ...(partitions.length > 0 && {
+          partitions: Object.fromEntries(partitions.map(partition => [partition.prefix, {
+            entries: partition.entries,
+            bytes: partition.bytes,
+            maxEntries: Number.isFinite(partition.maxEntries) ? partition.maxEntries : null,
+            maxBytes: Number.isFinite(partition.maxBytes) ? partition.maxBytes : null
+          }]))
+        }),
+        ...counters
+      };
+    },
+
+    async close() {},
+
+    // Raw record access for stores that wrap this one (file snapshots)
+    _records: records,
+    _insertRecord: insertRecord
+  };
+}
+
+// File-backed store - keeps everything in memory, snapshots to disk and
+// reloads the snapshot on boot so pre-generated collections survive restarts
+function createFileStore(options = {}) {
+  const filePath = options.filePath || path.join(process.cwd(), '.cache', 'cache-snapshot.json');
+  const flushDelayMs = options.flushDelayMs !== undefined ? options.flushDelayMs : 5000;
+  const memory = createMemoryStore(options);
+  const records = memory._records;
+
+  let flushTimer = null;
+  let flushing = null;
+  let closed = false;
+  let lastFlush = null;
+  let loadedEntries = 0;
+
+  // Load the previous snapshot synchronously so the cache is warm before
+  // the server starts accepting requests
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const snapshot = JSON.parse(raw);
+    const now = Date.now();
+
+    // Snapshots are written least recently used first, so replaying them in
+    // order restores the LRU position and lets the budget evict the oldest
+    (snapshot.entries || []).forEach(function([key, record]) {
+      if (record.expiresAt !== null && now >= record.expiresAt) return;
+      memory._insertRecord(key, record);
+    });
+    loadedEntries = records.size;
+    logger.info('Cache snapshot loaded', { entries: loadedEntries, filePath });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to load cache snapshot', { filePath, error });
+    }
+  }
+
+  function cancelTimer() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+  }
+
+  // Only for close() - the process is about to exit, so blocking is fine
+  function flushSync() {
+    cancelTimer();
+
+    const snapshot = {
+      version: 2,
+      savedAt: new Date().toISOString(),
+      entries: Array.from(records.entries())
+    };
+
+    // Write to a temp file first so a crash mid-write never corrupts the snapshot
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+    fs.renameSync(tmpPath, filePath);
+    lastFlush = snapshot.savedAt;
+  }
+
+  // Writes entry by entry, yielding between chunks, so a snapshot near the
+  // byte budget never blocks the event loop on one stringify + writeFileSync
+  async function flushAsync() {
+    const savedAt = new Date().toISOString();
+    const entries = Array.from(records.entries());
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.write(`{"version":2,"savedAt":"${savedAt}","entries":[`);
+      let chunk = '';
+      for (let i = 0; i < entries.length; i++) {
+        chunk += (i > 0 ? ',' : '') + JSON.stringify(entries[i]);
+        if (chunk.length >= FLUSH_CHUNK_CHARS) {
+          await handle.write(chunk);
+          chunk = '';
+        }
+      }
+      await handle.write(`${chunk}]}`);
+    } finally {
+      await handle.close();
+    }
+
+    // close() has written a newer snapshot in the meantime
+    if (closed) {
+      await fs.promises.unlink(tmpPath).catch(() => {});
+      return;
+    }
+    await fs.promises.rename(tmpPath, filePath);
+    lastFlush = savedAt;
+  }
+
+  // One write at a time
+  function startFlush() {
+    if (!flushing) {
+      flushing = flushAsync().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  function scheduleFlush() {
+    if (flushTimer || closed) return;
+    flushTimer = setTimeout(function() {
+      flushTimer = null;
+      // Changes made during a write are picked up by the next one
+      if (flushing) {
+        scheduleFlush();
+        return;
+      }
+      startFlush().catch(error => logger.error('Failed to write cache snapshot', { filePath, error }));
+    }, flushDelayMs);
+    flushTimer.unref();
+  }
+
+  return {
+    ...memory,
+    backend: 'file',
+
+    async set(key, entry, setOptions) {
+      const stored = await memory.set(key, entry, setOptions);
+      scheduleFlush();
+      return stored;
+    },
+
+    async delete(key) {
+      const deleted = await memory.delete(key);
+      if (deleted) scheduleFlush();
+      return deleted;
+    },
+
+    async clear() {
+      await memory.clear();
+      scheduleFlush();
+    },
+
+    async stats() {
+      return {
+        ...(await memory.stats()),
+        backend: 'file',
+        filePath,
+        loadedEntries,
+        lastFlush
+      };
+    },
+
+    async flush() {
+      cancelTimer();
+      if (flushing) await flushing.catch(() => {});
+      await startFlush();
+    },
+
+    async close() {
+      closed = true;
+      flushSync();
+    }
+  };
+}
+
+// Local stand-in for an external key-value store. Implements the subset of the
+// node-redis v4 client API used by createKeyValueStore, so the adapter can be
+// exercised without a running Redis
+function createLocalKeyValueClient() {
+  const data = new Map();
+  const expiries = new Map();
+
+  function isLive(key) {
+    const expiresAt = expiries.get(key);
+    if (expiresAt !== undefined && Date.now() >= expiresAt) {
+      data.delete(key);
+      expiries.delete(key);
+      return false;
+    }
+    return data.has(key);
+  }
+
+  function patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+  }
+
+  return {
+    async get(key) {
+      return isLive(key) ? data.get(key) : null;
+    },
+
+    async set(key, value, setOptions = {}) {
+      data.set(key, String(value));
+      if (setOptions.PX) {
+        expiries.set(key, Date.now() + setOptions.PX);
+      } else {
+        expiries.delete(key);
+      }
+      return 'OK';
+    },
+
+    async del(keys) {
+      const list = Array.isArray(keys) ? keys : [keys];
+      let removed = 0;
+      list.forEach(function(key) {
+        expiries.delete(key);
+        if (data.delete(key)) removed++;
+      });
+      return removed;
+    },
+
+    // Like node-redis v4: yields matching keys one at a time
+    async *scanIterator(scanOptions = {}) {
+      const matcher = patternToRegExp(scanOptions.MATCH || '*');
+      for (const key of Array.from(data.keys())) {
+        if (isLive(key) && matcher.test(key)) yield key;
+      }
+    },
+
+    async quit() {}
+  };
+}
+
+// Keys per SCAN round trip
+const SCAN_COUNT = 500;
+
+// Adapter for an external key-value store (Redis or anything exposing
+// get/set/del/scanIterator). Keys are namespaced so several services can share
+// one instance. TTLs are delegated to the store (PX); LRU eviction and the
+// memory budget are the server's job (e.g. Redis maxmemory-policy allkeys-lru).
+// Keys are listed with SCAN, never KEYS, which blocks Redis for the whole keyspace
+function createKeyValueStore(client, options = {}) {
+  if (!client) {
+    throw new Error('Key-value cache store requires a client');
+  }
+
+  const prefix = options.prefix || 'algolia-cache:';
+  const label = options.label || 'external';
+  const counters = { hits: 0, misses: 0 };
+
+  // node-redis v4 yields single keys, v5 batches; SCAN may repeat a key
+  async function scanKeys() {
+    const keys = new Set();
+    for await (const item of client.scanIterator({ MATCH: `${prefix}*`, COUNT: SCAN_COUNT })) {
+      [].concat(item).forEach(key => keys.add(key));
+    }
+    return Array.from(keys);
+  }
+
+  return {
+    backend: 'kv',
+
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      if (!raw) {
+        counters.misses++;
+        return undefined;
+      }
+      counters.hits++;
+      return JSON.parse(raw);
+    },
+
+    async peek(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : undefined;
+    },
+
+    async set(key, entry, setOptions = {}) {
+      const value = JSON.stringify(entry);
+      if (setOptions.ttlMs) {
+        await client.set(prefix + key, value, { PX: Math.ceil(setOptions.ttlMs) });
+      } else {
+        await client.set(prefix + key, value);
+      }
+      return true;
+    },
+
+    async delete(key) {
+      const removed = await client.del(prefix + key);
+      return removed > 0;
+    },
+
+    async keys() {
+      const keys = await scanKeys();
+      return keys.map(key => key.slice(prefix.length));
+    },
+
+    // Not tracked: counting means scanning the whole keyspace, too much for
+    // health checks and metric scrapes
+    async size() {
+      return null;
+    },
+
+    async clear() {
+      const keys = await scanKeys();
+      for (let i = 0; i < keys.length; i += SCAN_COUNT) {
+        await client.del(keys.slice(i, i + SCAN_COUNT));
+      }
+    },
+
+    async stats() {
+      return {
+        backend: 'kv',
+        client: label,
+        prefix,
+        size: null,
+        ...counters,
+        evictions: null,
+        expirations: null
+      };
+    },
+
+    async prune() {
+      return 0;
+    },
+
+    async close() {
+      if (typeof client.quit === 'function') {
+        await client.quit();
+      }
+    }
+  };
+}
+
+// Build the store selected by CACHE_BACKEND (memory | file | kv)
+function createCacheStore(options = {}) {
+  const backend = options.backend || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore(options);
+
+    case 'file':
+      return createFileStore(options);
+
+    case 'kv': {
+      // "local" (or no URL) uses the in-process stand-in; anything else needs
+      // the optional `redis` package to be installed
+      if (!options.kvUrl || options.kvUrl === 'local') {
+        return createKeyValueStore(createLocalKeyValueClient(), {
+          prefix: options.kvPrefix,
+          label: 'local'
+        });
+      }
+
+      let redis;
+      try {
+        redis = require('redis');
+      } catch (error) {
+        throw new Error('CACHE_BACKEND=kv with CACHE_KV_URL requires the "redis" package to be installed');
+      }
+
+      const client = redis.createClient({ url: options.kvUrl });
+      client.on('error', error => logger.error('Key-value store error', { error }));
+      client.connect().catch(error => logger.error('Key-value store connect failed', { error }));
+
+      return createKeyValueStore(client, {
+        prefix: options.kvPrefix,
+        label: 'redis'
+      });
+    }
+
+    default:
+      throw new Error(`Unknown cache backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  createCacheStore,
+  createMemoryStore,
+  createFileStore,
+  createKeyValueStore,
+  createLocalKeyValueClient
+};
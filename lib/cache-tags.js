@@ -0,0 +1,88 @@
+// lib/cache-tags.js - Tag-based cache invalidation
+const { logger } = require('./logger');
+
+// Tags are stored on each cache entry (entry.tags), e.g.
+//   product:<handle>, product-id:<shopify id>, city:<name>, collection:<handle>, type:<entry type>
+function normalizeTagValue(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function getProductTags(products) {
+  const tags = new Set();
+  products.forEach(function(product) {
+    if (product.handle) tags.add(`product:${normalizeTagValue(product.handle)}`);
+    if (product.id) tags.add(`product-id:${product.id}`);
+  });
+  return Array.from(tags);
+}
+
+function getCityTag(cityName) {
+  return `city:${normalizeTagValue(cityName)}`;
+}
+
+function getCollectionTag(collectionHandle) {
+  return `collection:${normalizeTagValue(collectionHandle)}`;
+}
+
+// Accepts "city:Berlin" style strings and normalizes the value part the same
+// way entries are tagged
+function normalizeTag(tag) {
+  const separator = tag.indexOf(':');
+  if (separator === -1) return normalizeTagValue(tag);
+
+  const kind = tag.slice(0, separator).trim().toLowerCase();
+  return `${kind}:${normalizeTagValue(tag.slice(separator + 1))}`;
+}
+
+// Scans the store for tagged entries. Stores are bounded (LRU), so a scan is
+// cheap enough for admin and webhook traffic and works the same on every backend
+function createCacheInvalidator(cache) {
+  const counters = {
+    purgeRequests: 0,
+    purgedEntries: 0
+  };
+
+  async function findEntries(tags) {
+    const wanted = new Set(tags.map(normalizeTag));
+    const matches = [];
+
+    for (const key of await cache.keys()) {
+      const entry = await cache.peek(key);
+      if (entry && (entry.tags || []).some(tag => wanted.has(tag))) {
+        matches.push({ key, entry });
+      }
+    }
+
+    return matches;
+  }
+
+  return {
+    findEntries,
+
+    // Deletes every entry carrying any of the tags; returns what was removed
+    async purge(tags) {
+      counters.purgeRequests++;
+      const matches = await findEntries(tags);
+
+      for (const { key } of matches) {
+        await cache.delete(key);
+      }
+
+      counters.purgedEntries += matches.length;
+      logger.info('Purged cache entries', { count: matches.length, tags });
+      return matches;
+    },
+
+    stats() {
+      return { ...counters };
+    }
+  };
+}
+
+module.exports = {
+  getProductTags,
+  getCityTag,
+  getCollectionTag,
+  normalizeTag,
+  createCacheInvalidator
+};
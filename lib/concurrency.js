@@ -0,0 +1,31 @@
+// lib/concurrency.js - Bounded concurrency helpers
+
+// Run worker(item, index) over items with at most `limit` in flight at once.
+// Results (or errors) come back in input order; one failure doesn't stop the rest
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+    workers.push(runNext());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
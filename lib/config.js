@@ -0,0 +1,314 @@
+// lib/config.js - Server configuration from defaults, an optional JSON config file and the environment
+//
+// Precedence: defaults < config file (CONFIG_FILE, or config/config.json when
+// present) < environment variables. Everything is validated once at startup;
+// loadConfig throws with every problem listed instead of failing on first use.
+const fs = require('fs');
+const path = require('path');
+const { MAX_PRECISION } = require('./geo-bucket');
+
+const HOUR = 60 * 60 * 1000;
+
+// path: where the value lives in the config object; env: variable overriding it
+const SETTINGS = [
+  { path: 'env', env: 'NODE_ENV', type: 'string', default: 'development' },
+  { path: 'port', env: 'PORT', type: 'integer', default: 3000, min: 0 },
+  { path: 'log.level', env: 'LOG_LEVEL', type: 'string', default: 'info', enum: ['debug', 'info', 'warn', 'error', 'silent'] },
+
+  { path: 'algolia.appId', env: 'ALGOLIA_APP_ID', type: 'string', default: null },
+  { path: 'algolia.searchApiKey', env: 'ALGOLIA_SEARCH_API_KEY', type: 'string', default: null, secret: true },
+  { path: 'algolia.indices', env: 'ALGOLIA_INDICES', type: 'map', default: { default: 'shopify_products' } },
+  { path: 'algolia.defaultIndex', env: 'ALGOLIA_DEFAULT_INDEX', type: 'string', default: 'default' },
+
+  { path: 'search.provider', env: 'SEARCH_PROVIDER', type: 'string', default: 'algolia', enum: ['algolia', 'local'] },
+  { path: 'search.fixturesPath', env: 'SEARCH_FIXTURES_PATH', type: 'path', default: 'fixtures/products.json' },
+  { path: 'search.timeoutMs', env: 'SEARCH_TIMEOUT_MS', type: 'integer', default: 3000, min: 1 },
+  { path: 'search.retries', env: 'SEARCH_RETRIES', type: 'integer', default: 2, min: 0 },
+  { path: 'search.retryBaseMs', env: 'SEARCH_RETRY_BASE_MS', type: 'integer', default: 200, min: 0 },
+  { path: 'search.failureThreshold', env: 'SEARCH_BREAKER_THRESHOLD', type: 'integer', default: 5, min: 1 },
+  { path: 'search.resetTimeoutMs', env: 'SEARCH_BREAKER_RESET_MS', type: 'integer', default: 30000, min: 1 },
+  { path: 'search.simulateFailure', env: 'SEARCH_SIMULATE_FAILURE', type: 'string', default: null, enum: ['error', 'timeout', 'flaky'] },
+  { path: 'search.defaultRadiusKm', env: 'DEFAULT_RADIUS_KM', type: 'number', default: 30, min: 0.1 },
+  { path: 'search.maxRadiusKm', env: 'MAX_RADIUS_KM', type: 'number', default: 500, min: 1 },
+  { path: 'search.maxHitsPerPage', env: 'MAX_HITS_PER_PAGE', type: 'integer', default: 100, min: 1 },
+  { path: 'search.nearbyHitsPerPage', env: 'NEARBY_HITS_PER_PAGE', type: 'integer', default: 24, min: 1 },
+  { path: 'search.collectionHitsPerPage', env: 'COLLECTION_HITS_PER_PAGE', type: 'integer', default: 8, min: 1 },
+  { path: 'search.nearbyMaxSearchesPerPage', env: 'NEARBY_MAX_SEARCHES_PER_PAGE', type: 'integer', default: 3, min: 1 },
+
+  { path: 'radiusExpansion.minResults', env: 'RADIUS_EXPANSION_MIN_RESULTS', type: 'integer', default: 0, min: 0 },
+  { path: 'radiusExpansion.maxRadiusKm', env: 'RADIUS_EXPANSION_MAX_KM', type: 'number', default: 120, min: 1 },
+  { path: 'radiusExpansion.factor', env: 'RADIUS_EXPANSION_FACTOR', type: 'number', default: 2, min: 1.1 },
+  { path: 'radiusExpansion.maxSteps', env: 'RADIUS_EXPANSION_MAX_STEPS', type: 'integer', default: 3, min: 1 },
+
+  { path: 'filters.medium.attribute', env: 'FILTER_MEDIUM_ATTRIBUTE', type: 'string', default: 'product_type' },
+  { path: 'filters.medium.values.print', env: 'FILTER_MEDIUM_PRINT', type: 'string', default: 'Print' },
+  { path: 'filters.medium.values.original', env: 'FILTER_MEDIUM_ORIGINAL', type: 'string', default: 'Original' },
+
+  { path: 'cache.backend', env: 'CACHE_BACKEND', type: 'string', default: 'memory', enum: ['memory', 'file', 'kv'] },
+  { path: 'cache.filePath', env: 'CACHE_FILE_PATH', type: 'path', default: null },
+  { path: 'cache.kvUrl', env: 'CACHE_KV_URL', type: 'string', default: null, secret: 'url' },
+  { path: 'cache.kvPrefix', env: 'CACHE_KV_PREFIX', type: 'string', default: null },
+  { path: 'cache.maxEntries', env: 'CACHE_MAX_ENTRIES', type: 'integer', default: 1000, min: 1 },
+  { path: 'cache.maxBytes', env: 'CACHE_MAX_BYTES', type: 'integer', default: 64 * 1024 * 1024, min: 1024 }, // 64 MB
+  { path: 'cache.sweepIntervalMs', env: 'CACHE_SWEEP_INTERVAL_MS', type: 'integer', default: 10 * 60 * 1000, min: 0 },
+  { path: 'cache.ttls.nearby', env: 'CACHE_TTL_NEARBY_MS', type: 'integer', default: 6 * HOUR, min: 1 },
+  { path: 'cache.ttls.ssr-collection', env: 'CACHE_TTL_SSR_MS', type: 'integer', default: 24 * HOUR, min: 1 },
+  { path: 'cache.staleTtls.nearby', env: 'CACHE_STALE_NEARBY_MS', type: 'integer', default: 24 * HOUR, min: 0 },
+  { path: 'cache.staleTtls.ssr-collection', env: 'CACHE_STALE_SSR_MS', type: 'integer', default: 7 * 24 * HOUR, min: 0 },
+  { path: 'cache.ttls.map-tile', env: 'CACHE_TTL_MAP_TILE_MS', type: 'integer', default: 6 * HOUR, min: 1 },
+  { path: 'cache.staleTtls.map-tile', env: 'CACHE_STALE_MAP_TILE_MS', type: 'integer', default: 24 * HOUR, min: 0 },
+  { path: 'cache.coordinateBucketing.mode', env: 'CACHE_COORD_BUCKETING', type: 'string', default: 'off', enum: ['off', 'geohash', 'grid'] },
+  { path: 'cache.coordinateBucketing.precision', env: 'CACHE_COORD_PRECISION', type: 'integer', default: null, min: 1 },
+
+  { path: 'ssr.locale', env: 'DEFAULT_LOCALE', type: 'string', default: 'de-DE' },
+  { path: 'ssr.currency', env: 'DEFAULT_CURRENCY', type: 'string', default: 'EUR' },
+  { path: 'ssr.printPrice', env: 'PRINTS_MIN_PRICE', type: 'number', default: 7, min: 0 },
+  { path: 'ssr.originalPrice', env: 'ORIGINALS_MIN_PRICE', type: 'number', default: 50, min: 0 },
+  { path: 'ssr.structuredData', env: 'SSR_STRUCTURED_DATA', type: 'boolean', default: false },
+  { path: 'ssr.httpMaxAgeSec', env: 'SSR_HTTP_MAX_AGE_SEC', type: 'integer', default: 300, min: 0 }, // cap for GET .../ssr.html
+  { path: 'ssr.shopBaseUrl', env: 'SHOP_BASE_URL', type: 'string', default: '' },
+  { path: 'ssr.templatesDir', env: 'TEMPLATES_DIR', type: 'path', default: 'templates' },
+  { path: 'ssr.imageWidths', env: 'SSR_IMAGE_WIDTHS', type: 'numberList', default: null },
+  { path: 'ssr.imageSizes', env: 'SSR_IMAGE_SIZES', type: 'string', default: null },
+
+  { path: 'shopify.webhookSecret', env: 'SHOPIFY_WEBHOOK_SECRET', type: 'string', default: null, secret: true },
+  { path: 'shopify.webhookRegenerateDelayMs', env: 'SHOPIFY_WEBHOOK_REGENERATE_DELAY_MS', type: 'integer', default: 30000, min: 0 },
+  { path: 'shopify.webhookMaxBodyBytes', env: 'SHOPIFY_WEBHOOK_MAX_BODY_BYTES', type: 'integer', default: 5 * 1024 * 1024, min: 1024 }, // 5 MB
+  { path: 'shopify.unavailableTtlMs', env: 'SHOPIFY_UNAVAILABLE_TTL_MS', type: 'integer', default: 24 * 60 * 60 * 1000, min: 1000 }, // keep sold products out of rebuilds
+  { path: 'shopify.appProxySecret', env: 'SHOPIFY_APP_PROXY_SECRET', type: 'string', default: null, secret: true }, // app's client secret
+  { path: 'shopify.appProxyMaxAgeSec', env: 'SHOPIFY_APP_PROXY_MAX_AGE_SEC', type: 'integer', default: 300, min: 0 }, // 0 = don't check timestamps
+
+  { path: 'security.adminTokens', env: 'ADMIN_TOKENS', type: 'stringList', default: [], secret: true },
+  { path: 'security.corsOrigins', env: 'CORS_ORIGINS', type: 'stringList', default: [] }, // none: no cross-origin access
+  { path: 'security.trustProxy', env: 'TRUST_PROXY', type: 'integer', default: 1, min: 0 }, // proxy hops in front (Render: 1)
+  { path: 'security.metricsPublic', env: 'METRICS_PUBLIC', type: 'boolean', default: false }, // /metrics without an admin token
+
+  { path: 'rateLimit.enabled', env: 'RATE_LIMIT_ENABLED', type: 'boolean', default: true },
+  { path: 'rateLimit.maxClients', env: 'RATE_LIMIT_MAX_CLIENTS', type: 'integer', default: 10000, min: 1 },
+  { path: 'rateLimit.nearby.burst', env: 'RATE_LIMIT_NEARBY_BURST', type: 'integer', default: 60, min: 1 },
+  { path: 'rateLimit.nearby.perMinute', env: 'RATE_LIMIT_NEARBY_PER_MINUTE', type: 'number', default: 120, min: 0.1 },
+  { path: 'rateLimit.collection.burst', env: 'RATE_LIMIT_COLLECTION_BURST', type: 'integer', default: 20, min: 1 },
+  { path: 'rateLimit.collection.perMinute', env: 'RATE_LIMIT_COLLECTION_PER_MINUTE', type: 'number', default: 30, min: 0.1 },
+  { path: 'rateLimit.ssr.burst', env: 'RATE_LIMIT_SSR_BURST', type: 'integer', default: 300, min: 1 }, // CDN edges share egress IPs
+  { path: 'rateLimit.ssr.perMinute', env: 'RATE_LIMIT_SSR_PER_MINUTE', type: 'number', default: 600, min: 0.1 },
+  { path: 'rateLimit.proxy.burst', env: 'RATE_LIMIT_PROXY_BURST', type: 'integer', default: 300, min: 1 }, // per shop, not per IP
+  { path: 'rateLimit.proxy.perMinute', env: 'RATE_LIMIT_PROXY_PER_MINUTE', type: 'number', default: 600, min: 0.1 },
+  { path: 'rateLimit.admin.burst', env: 'RATE_LIMIT_ADMIN_BURST', type: 'integer', default: 30, min: 1 },
+  { path: 'rateLimit.admin.perMinute', env: 'RATE_LIMIT_ADMIN_PER_MINUTE', type: 'number', default: 60, min: 0.1 },
+  { path: 'rateLimit.map.burst', env: 'RATE_LIMIT_MAP_BURST', type: 'integer', default: 60, min: 1 },
+  { path: 'rateLimit.map.perMinute', env: 'RATE_LIMIT_MAP_PER_MINUTE', type: 'number', default: 240, min: 0.1 },
+
+  { path: 'batch.concurrency', env: 'BATCH_CONCURRENCY', type: 'integer', default: 2, min: 1 },
+  { path: 'batch.maxItems', env: 'BATCH_MAX_ITEMS', type: 'integer', default: 500, min: 1 },
+  { path: 'batch.maxJobs', env: 'BATCH_MAX_JOBS', type: 'integer', default: 20, min: 1 }, // finished jobs kept for status
+
+  { path: 'map.maxTiles', env: 'MAP_MAX_TILES', type: 'integer', default: 36, min: 1 }, // per request
+  { path: 'map.tileHitsPerPage', env: 'MAP_TILE_HITS_PER_PAGE', type: 'integer', default: 1000, min: 1 }, // Algolia caps at 1000
+  { path: 'map.gridSize', env: 'MAP_CLUSTER_GRID_SIZE', type: 'integer', default: 4, min: 1 }, // cluster cells per tile side
+  { path: 'map.singleProductZoom', env: 'MAP_SINGLE_PRODUCT_ZOOM', type: 'integer', default: 15, min: 0 },
+  { path: 'map.thumbnailWidth', env: 'MAP_THUMBNAIL_WIDTH', type: 'integer', default: 200, min: 1 },
+  { path: 'map.tileConcurrency', env: 'MAP_TILE_CONCURRENCY', type: 'integer', default: 4, min: 1 }, // tile searches in flight per request
+  { path: 'map.cacheMaxBytes', env: 'MAP_CACHE_MAX_BYTES', type: 'integer', default: 16 * 1024 * 1024, min: 1024 }, // 16 MB, apart from cache.maxBytes
+
+  { path: 'prewarm.enabled', env: 'PREWARM_ENABLED', type: 'boolean', default: true },
+  { path: 'prewarm.manifestPath', env: 'PREWARM_MANIFEST_PATH', type: 'path', default: 'config/cities.json' },
+  { path: 'prewarm.intervalMs', env: 'PREWARM_INTERVAL_MS', type: 'integer', default: 6 * HOUR, min: 0 },
+  { path: 'prewarm.concurrency', env: 'PREWARM_CONCURRENCY', type: 'integer', default: 2, min: 1 }
+];
+
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+    return current[key];
+  }, object);
+  target[last] = value;
+}
+
+// Environment values are strings; file values may already be typed
+function parseValue(setting, raw, rootDir) {
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (String(raw).trim() === '' || !Number.isFinite(number)) throw new Error('must be a number');
+      if (setting.type === 'integer' && !Number.isInteger(number)) throw new Error('must be an integer');
+      if (setting.min !== undefined && number < setting.min) throw new Error(`must be at least ${setting.min}`);
+      return number;
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') return raw;
+      if (raw === 'true' || raw === '1') return true;
+      if (raw === 'false' || raw === '0') return false;
+      throw new Error('must be true or false');
+    case 'numberList': {
+      const list = Array.isArray(raw) ? raw : String(raw).split(',');
+      const numbers = list.map(Number);
+      if (numbers.length === 0 || !numbers.every(number => Number.isInteger(number) && number > 0)) {
+        throw new Error('must be a comma-separated list of positive integers');
+      }
+      return numbers;
+    }
+    case 'stringList': {
+      const list = Array.isArray(raw) ? raw : String(raw).split(',');
+      const strings = list.map(item => String(item).trim()).filter(Boolean);
+      if (strings.length === 0) throw new Error('must be a comma-separated list');
+      return strings;
+    }
+    // "de=shopify_products_de,en=shopify_products_en" or a JSON object
+    case 'map': {
+      let map = raw;
+      if (typeof raw === 'string') {
+        map = raw.trim().startsWith('{')
+          ? JSON.parse(raw)
+          : Object.fromEntries(raw.split(',').filter(Boolean).map(pair => pair.split('=').map(part => part.trim())));
+      }
+      if (!map || typeof map !== 'object' || Array.isArray(map) || Object.keys(map).length === 0) {
+        throw new Error('must map names to values');
+      }
+      Object.keys(map).forEach(function(name) {
+        if (!/^[\w-]+$/.test(name) || typeof map[name] !== 'string' || !map[name]) {
+          throw new Error(`has an invalid entry "${name}"`);
+        }
+      });
+      return { ...map };
+    }
+    case 'path':
+      return path.resolve(rootDir, String(raw));
+    default: {
+      const value = String(raw);
+      if (setting.enum && !setting.enum.includes(value)) {
+        throw new Error(`must be one of: ${setting.enum.join(', ')}`);
+      }
+      return value;
+    }
+  }
+}
+
+function readConfigFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+}
+
+function createConfigError(problems) {
+  const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  error.code = 'INVALID_CONFIG';
+  error.problems = problems;
+  return error;
+}
+
+// options: { env = process.env, rootDir = cwd, filePath }
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const rootDir = options.rootDir || process.cwd();
+  const defaultFile = path.join(rootDir, 'config', 'config.json');
+  const filePath = options.filePath || env.CONFIG_FILE || (fs.existsSync(defaultFile) ? defaultFile : null);
+  const file = filePath ? readConfigFile(path.resolve(rootDir, filePath)) : {};
+
+  const config = {};
+  const problems = [];
+
+  SETTINGS.forEach(function(setting) {
+    let value = setting.default;
+    let source = 'default';
+
+    const fromFile = getPath(file, setting.path);
+    if (fromFile !== undefined && fromFile !== null) {
+      value = fromFile;
+      source = 'file';
+    }
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      value = env[setting.env];
+      source = setting.env;
+    }
+
+    if (value !== null && (source !== 'default' || setting.type === 'path')) {
+      try {
+        value = parseValue(setting, value, rootDir);
+      } catch (error) {
+        problems.push(`${setting.path} (${source === 'file' ? filePath : source}) ${error.message}`);
+        value = setting.default;
+      }
+    }
+
+    setPath(config, setting.path, value);
+  });
+
+  // Pre-multi-index variable, still honoured for the default index
+  if (env.ALGOLIA_INDEX_NAME) {
+    config.algolia.indices = { ...config.algolia.indices, [config.algolia.defaultIndex]: env.ALGOLIA_INDEX_NAME };
+  }
+
+  if (!config.algolia.indices[config.algolia.defaultIndex]) {
+    problems.push(`algolia.defaultIndex "${config.algolia.defaultIndex}" is not one of algolia.indices`);
+  }
+
+  // No credentials baked into the code - production must set them explicitly
+  const hasCredentials = Boolean(config.algolia.appId && config.algolia.searchApiKey);
+  const usesAlgolia = config.search.provider === 'algolia' && !config.search.simulateFailure;
+  if (config.env === 'production' && usesAlgolia && !hasCredentials) {
+    problems.push('ALGOLIA_APP_ID and ALGOLIA_SEARCH_API_KEY are required in production');
+  }
+
+  if (config.env === 'production' && config.security.corsOrigins.includes('*')) {
+    problems.push('security.corsOrigins (CORS_ORIGINS) must list the storefront domains in production, not "*"');
+  }
+
+  if (config.search.provider === 'local' && !fs.existsSync(config.search.fixturesPath)) {
+    problems.push(`search.fixturesPath (SEARCH_FIXTURES_PATH) ${config.search.fixturesPath} does not exist`);
+  }
+
+  const bucketing = config.cache.coordinateBucketing;
+  const maxPrecision = MAX_PRECISION[bucketing.mode];
+  if (maxPrecision && bucketing.precision > maxPrecision) {
+    problems.push(`cache.coordinateBucketing.precision (CACHE_COORD_PRECISION) must be at most ${maxPrecision} for ${bucketing.mode} bucketing`);
+  }
+
+  if (config.cache.backend === 'kv' && !config.cache.kvUrl) {
+    problems.push('cache.kvUrl (CACHE_KV_URL) is required for the kv cache backend');
+  }
+
+  if (problems.length > 0) {
+    throw createConfigError(problems);
+  }
+
+  config.configFile = filePath ? path.resolve(rootDir, filePath) : null;
+  return config;
+}
+
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    if (url.password) url.password = 'redacted';
+    return url.toString();
+  } catch (error) {
+    return '[redacted]';
+  }
+}
+
+// Effective config with secrets masked, for the admin endpoint
+function getPublicConfig(config) {
+  const publicConfig = JSON.parse(JSON.stringify(config));
+
+  SETTINGS.filter(setting => setting.secret).forEach(function(setting) {
+    const value = getPath(config, setting.path);
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return;
+    setPath(publicConfig, setting.path, setting.secret === 'url' ? redactUrl(value) : '[redacted]');
+  });
+
+  return publicConfig;
+}
+
+module.exports = {
+  SETTINGS,
+  loadConfig,
+  getPublicConfig
+};
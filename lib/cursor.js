@@ -0,0 +1,100 @@
+// lib/cursor.js - Opaque pagination cursors
+//
+// A cursor is deflated JSON in base64url. It is opaque to clients but not
+// secret - it only carries search position and dedup state, and decodeCursor
+// validates the shape before anything uses it.
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const CURSOR_VERSION = 1;
+const MAX_CURSOR_LENGTH = 16 * 1024;
+
+// Dedup state kept in a cursor: the most recently shown artworks and groups.
+// Deep pages forget the oldest ones instead of outgrowing MAX_CURSOR_LENGTH
+const MAX_CURSOR_ARTWORKS = 500;
+const MAX_CURSOR_GROUPS = 200;
+
+function createCursorError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CURSOR';
+  return error;
+}
+
+// Short stable id for the search a cursor belongs to
+function getSearchFingerprint(value) {
+  return crypto.createHash('sha1').update(String(value)).digest('base64url').slice(0, 16);
+}
+
+function serializeCursor(payload, shownArtworks, groupCounts) {
+  const json = JSON.stringify({
+    v: CURSOR_VERSION,
+    f: payload.fingerprint,
+    p: payload.page,
+    r: payload.radiusKm,
+    s: shownArtworks,
+    c: Object.fromEntries(groupCounts),
+    l: payload.state.lastGroupKey
+  });
+  return zlib.deflateRawSync(Buffer.from(json)).toString('base64url');
+}
+
+// payload: { fingerprint, page, radiusKm, state: { shownArtworks, groupCounts, lastGroupKey } }
+// Both state lists are oldest first; the oldest half is dropped until the
+// cursor fits, so every cursor handed out decodes again
+function encodeCursor(payload) {
+  let shownArtworks = payload.state.shownArtworks.slice(-MAX_CURSOR_ARTWORKS);
+  let groupCounts = Object.entries(payload.state.groupCounts).slice(-MAX_CURSOR_GROUPS);
+
+  for (;;) {
+    const cursor = serializeCursor(payload, shownArtworks, groupCounts);
+    if (cursor.length <= MAX_CURSOR_LENGTH || (shownArtworks.length === 0 && groupCounts.length === 0)) {
+      return cursor;
+    }
+    shownArtworks = shownArtworks.slice(Math.ceil(shownArtworks.length / 2));
+    groupCounts = groupCounts.slice(Math.ceil(groupCounts.length / 2));
+  }
+}
+
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > MAX_CURSOR_LENGTH) {
+    throw createCursorError('Invalid cursor');
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(zlib.inflateRawSync(Buffer.from(cursor, 'base64url')).toString('utf8'));
+  } catch (error) {
+    throw createCursorError('Invalid cursor');
+  }
+
+  const valid = raw && raw.v === CURSOR_VERSION &&
+    typeof raw.f === 'string' &&
+    Number.isInteger(raw.p) && raw.p >= 0 &&
+    (raw.r === null || typeof raw.r === 'number') &&
+    Array.isArray(raw.s) && raw.s.every(key => typeof key === 'string') &&
+    raw.c && typeof raw.c === 'object' && !Array.isArray(raw.c) &&
+    Object.values(raw.c).every(count => Number.isInteger(count) && count >= 0) &&
+    (raw.l === null || typeof raw.l === 'string');
+
+  if (!valid) {
+    throw createCursorError('Invalid cursor');
+  }
+
+  return {
+    fingerprint: raw.f,
+    page: raw.p,
+    radiusKm: raw.r,
+    state: {
+      shownArtworks: raw.s,
+      groupCounts: raw.c,
+      lastGroupKey: raw.l
+    }
+  };
+}
+
+module.exports = {
+  MAX_CURSOR_LENGTH,
+  getSearchFingerprint,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,330 @@
+// lib/dedup.js - Configurable deduplication pipeline for search hits
+//
+// Stages, in order:
+//   1. variantCollapse  - one product per base handle (size/medium variants share one;
+//                         handle suffixes stripped are variantSuffixes)
+//   2. titleSimilarity  - drop titles too similar to an already kept product
+//                         (trigram Jaccard score 0..1, see title-similarity.js)
+//   3. groupBy          - group by 'location' (coordinates/address) or 'locationPhoto'
+//   4. maxPerGroup      - cap products per group
+//   5. avoidAdjacent    - never place two products from the same group next to each other
+//   6. boostFeatured    - featured products are distributed before regular ones
+// distanceWeight (0..1) blends search rank with hit.distanceKm before grouping,
+// so closer pieces come first while the group rules still keep results diverse.
+// Groups are distributed round-robin so results stay geographically diverse.
+// With explain: true every dropped hit is reported with the rule that removed it.
+// Passing the returned `state` back in continues across pages: artworks already
+// shown are skipped and per-group counts keep counting.
+
+const { areTitlesSimilar, createTitleIndex } = require('./title-similarity');
+
+const DEFAULT_VARIANT_SUFFIXES = ['-original-painting', '-print', '-canvas', '-paper'];
+
+// Request overrides replace the list: handle-style suffixes like '-giclee'
+const VARIANT_SUFFIX_PATTERN = /^-[a-z0-9-]{1,50}$/;
+const MAX_VARIANT_SUFFIXES = 20;
+
+// Endpoint presets - request overrides are merged on top
+const DEDUP_PRESETS = {
+  nearby: {
+    variantCollapse: true,
+    variantSuffixes: DEFAULT_VARIANT_SUFFIXES,
+    titleSimilarity: 0.8,
+    groupBy: 'location',
+    maxPerGroup: 2,
+    avoidAdjacent: true,
+    boostFeatured: false,
+    distanceWeight: 0
+  },
+  collection: {
+    variantCollapse: true,
+    variantSuffixes: DEFAULT_VARIANT_SUFFIXES,
+    titleSimilarity: null,
+    groupBy: 'locationPhoto',
+    maxPerGroup: 2,
+    avoidAdjacent: false,
+    boostFeatured: true,
+    distanceWeight: 0
+  }
+};
+
+const OPTION_TYPES = {
+  variantCollapse: 'boolean',
+  variantSuffixes: 'suffixes',
+  titleSimilarity: 'threshold',
+  groupBy: ['location', 'locationPhoto', 'none'],
+  maxPerGroup: 'count',
+  avoidAdjacent: 'boolean',
+  boostFeatured: 'boolean',
+  distanceWeight: 'weight'
+};
+
+function getLocationKey(product) {
+  const details = product.meta?.location?.details || {};
+
+  if (details.latitude && details.longitude) {
+    return `${Number(details.latitude).toFixed(6)},${Number(details.longitude).toFixed(6)}`;
+  }
+
+  if (details.google_id) {
+    return `google_id:${details.google_id}`;
+  }
+
+  if (details.formatted_address) {
+    return `address:${details.formatted_address}`;
+  }
+
+  return `unique:${product.handle}`;
+}
+
+function getLocationPhoto(product) {
+  return product.meta?.location?.details?.location_photo || null;
+}
+
+// Group key for a product; null means "ungrouped" (placed after all groups)
+function getGroupKey(product, groupBy) {
+  if (groupBy === 'location') return getLocationKey(product);
+  if (groupBy === 'locationPhoto') return getLocationPhoto(product);
+  return null;
+}
+
+// painting-40x50-print, painting-variant-2, painting-v-3 -> painting
+function getBaseHandle(product, suffixes = DEFAULT_VARIANT_SUFFIXES) {
+  let baseHandle = (product.handle || '').split('-variant-')[0].split('-v-')[0];
+
+  let previous;
+  do {
+    previous = baseHandle;
+    baseHandle = baseHandle.replace(/-\d+x\d+$/, '');
+    suffixes.forEach(function(suffix) {
+      if (baseHandle.endsWith(suffix)) {
+        baseHandle = baseHandle.slice(0, -suffix.length);
+      }
+    });
+  } while (baseHandle !== previous);
+
+  return baseHandle;
+}
+
+function isFeatured(product) {
+  return product.meta?.featured === 'yes';
+}
+
+// Merge request overrides onto a preset, rejecting unknown keys and bad values
+function resolveDedupConfig(preset, overrides = {}) {
+  const base = DEDUP_PRESETS[preset];
+  if (!base) {
+    throw new Error(`Unknown dedup preset: ${preset}`);
+  }
+
+  const config = { ...base };
+  Object.keys(overrides || {}).forEach(function(key) {
+    const type = OPTION_TYPES[key];
+    const value = overrides[key];
+
+    if (!type) {
+      throw new Error(`Unknown dedup option: ${key}`);
+    }
+
+    const valid =
+      (type === 'boolean' && typeof value === 'boolean') ||
+      (type === 'threshold' && (value === null || (typeof value === 'number' && value > 0 && value <= 1))) ||
+      (type === 'weight' && typeof value === 'number' && value >= 0 && value <= 1) ||
+      (type === 'count' && Number.isInteger(value) && value > 0) ||
+      (type === 'suffixes' && Array.isArray(value) && value.length <= MAX_VARIANT_SUFFIXES &&
+        value.every(suffix => typeof suffix === 'string' && VARIANT_SUFFIX_PATTERN.test(suffix))) ||
+      (Array.isArray(type) && type.includes(value));
+
+    if (!valid) {
+      throw new Error(`Invalid value for dedup option ${key}`);
+    }
+
+    config[key] = value;
+  });
+
+  return config;
+}
+
+// Stable sort by (1 - weight) * rank + weight * distance, both scaled to 0..1.
+// Hits without a distance count as the farthest
+function orderByDistance(products, weight) {
+  const distances = products.map(p => p.distanceKm).filter(d => typeof d === 'number');
+  const maxDistance = Math.max(...distances, 0);
+  const lastIndex = Math.max(products.length - 1, 1);
+
+  return products
+    .map(function(product, index) {
+      const distance = typeof product.distanceKm === 'number' && maxDistance > 0
+        ? product.distanceKm / maxDistance
+        : (typeof product.distanceKm === 'number' ? 0 : 1);
+      return { product, index, score: (1 - weight) * (index / lastIndex) + weight * distance };
+    })
+    .sort((a, b) => a.score - b.score || a.index - b.index)
+    .map(entry => entry.product);
+}
+
+function describeHit(product) {
+  return {
+    objectID: product.objectID,
+    handle: product.handle,
+    title: product.title
+  };
+}
+
+// One artwork across pages - variants share their base handle
+function getArtworkKey(product, config) {
+  return config.variantCollapse ? getBaseHandle(product, config.variantSuffixes) : product.handle;
+}
+
+// Runs the pipeline. Returns { hits, dropped, truncated, state } where dropped
+// is only filled when options.explain is set, truncated says whether eligible
+// hits were cut by maxResults, and state can be passed as options.state to
+// dedup the next page
+function runDedupPipeline(hits, config, options = {}) {
+  const maxResults = options.maxResults || 24;
+  const explain = Boolean(options.explain);
+  const previous = options.state || {};
+  const shownArtworks = new Set(previous.shownArtworks || []);
+  const dropped = [];
+  let truncated = false;
+
+  function drop(product, rule, detail) {
+    if (rule === 'maxResults') truncated = true;
+    if (explain) {
+      dropped.push({ ...describeHit(product), rule, ...detail });
+    }
+  }
+
+  // Stages 1 + 2: variant collapse and title similarity
+  const seenBaseHandles = {};
+  const uniqueProducts = [];
+  const titleIndex = config.titleSimilarity
+    ? createTitleIndex({ threshold: config.titleSimilarity })
+    : null;
+
+  hits.forEach(function(product) {
+    if (shownArtworks.has(getArtworkKey(product, config))) {
+      drop(product, 'previousPage', {});
+      return;
+    }
+
+    if (config.variantCollapse) {
+      const baseHandle = getBaseHandle(product, config.variantSuffixes);
+      if (seenBaseHandles[baseHandle]) {
+        drop(product, 'variantCollapse', { baseHandle, keptHandle: seenBaseHandles[baseHandle] });
+        return;
+      }
+      seenBaseHandles[baseHandle] = product.handle;
+    }
+
+    if (titleIndex) {
+      const similar = titleIndex.findSimilar(product.title, { artist: product.vendor });
+      if (similar) {
+        drop(product, 'titleSimilarity', {
+          similarTo: similar.value.handle,
+          score: similar.score,
+          threshold: config.titleSimilarity
+        });
+        return;
+      }
+      titleIndex.add(product.title, product, { artist: product.vendor });
+    }
+
+    uniqueProducts.push(product);
+  });
+
+  const orderedProducts = config.distanceWeight > 0
+    ? orderByDistance(uniqueProducts, config.distanceWeight)
+    : uniqueProducts;
+
+  // Stage 6 decides the tiers; stages 3-5 run inside each tier
+  const tiers = config.boostFeatured
+    ? [orderedProducts.filter(isFeatured), orderedProducts.filter(p => !isFeatured(p))]
+    : [orderedProducts];
+
+  const result = [];
+  const groupCounts = { ...previous.groupCounts };
+  const ungrouped = [];
+  let lastGroupKey = previous.lastGroupKey || null;
+
+  tiers.forEach(function(tierProducts) {
+    const productsByGroup = new Map();
+
+    tierProducts.forEach(function(product) {
+      const groupKey = getGroupKey(product, config.groupBy);
+      if (groupKey === null) {
+        ungrouped.push(product);
+        return;
+      }
+      if (!productsByGroup.has(groupKey)) {
+        productsByGroup.set(groupKey, []);
+      }
+      productsByGroup.get(groupKey).push(product);
+    });
+
+    // Round-robin over groups: each round places at most one product per group
+    while (result.length < maxResults) {
+      let placedThisRound = false;
+
+      for (const [groupKey, queue] of productsByGroup) {
+        if (result.length >= maxResults) break;
+        if (queue.length === 0) continue;
+        if ((groupCounts[groupKey] || 0) >= config.maxPerGroup) continue;
+        if (config.avoidAdjacent && groupKey === lastGroupKey) continue;
+
+        result.push(queue.shift());
+        groupCounts[groupKey] = (groupCounts[groupKey] || 0) + 1;
+        lastGroupKey = groupKey;
+        placedThisRound = true;
+      }
+
+      if (!placedThisRound) break;
+    }
+
+    // Whatever is left in a group queue didn't make it - say why
+    productsByGroup.forEach(function(queue, groupKey) {
+      queue.forEach(function(product) {
+        if ((groupCounts[groupKey] || 0) >= config.maxPerGroup) {
+          drop(product, 'maxPerGroup', { groupKey, maxPerGroup: config.maxPerGroup });
+        } else if (result.length >= maxResults) {
+          drop(product, 'maxResults', { groupKey, maxResults });
+        } else {
+          drop(product, 'avoidAdjacent', { groupKey });
+        }
+      });
+    });
+  });
+
+  // Products without a group key fill the remaining slots
+  ungrouped.forEach(function(product) {
+    if (result.length < maxResults) {
+      result.push(product);
+    } else {
+      drop(product, 'maxResults', { groupKey: null, maxResults });
+    }
+  });
+
+  result.forEach(product => shownArtworks.add(getArtworkKey(product, config)));
+
+  return {
+    hits: result,
+    dropped,
+    truncated,
+    state: {
+      shownArtworks: Array.from(shownArtworks),
+      groupCounts,
+      lastGroupKey
+    }
+  };
+}
+
+module.exports = {
+  DEDUP_PRESETS,
+  getLocationKey,
+  getLocationPhoto,
+  getBaseHandle,
+  areTitlesSimilar,
+  isFeatured,
+  resolveDedupConfig,
+  runDedupPipeline
+};
@@ -0,0 +1,112 @@
+// lib/distance.js - Hit distances and progressive radius widening
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in km
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// _geoloc is what Algolia ranks by; the location metafield is the fallback
+function getHitCoordinates(hit) {
+  const geoloc = Array.isArray(hit._geoloc) ? hit._geoloc[0] : hit._geoloc;
+  if (geoloc && Number.isFinite(Number(geoloc.lat)) && Number.isFinite(Number(geoloc.lng))) {
+    return { lat: Number(geoloc.lat), lng: Number(geoloc.lng) };
+  }
+
+  const details = hit.meta?.location?.details;
+  if (details && details.latitude && details.longitude) {
+    return { lat: Number(details.latitude), lng: Number(details.longitude) };
+  }
+
+  return null;
+}
+
+// Adds distanceKm (one decimal) to every hit. Algolia's own geoDistance (in
+// meters, present with getRankingInfo) wins over our haversine estimate
+function annotateDistances(hits, lat, lng) {
+  const originLat = Number(lat);
+  const originLng = Number(lng);
+  const hasOrigin = Number.isFinite(originLat) && Number.isFinite(originLng);
+
+  return hits.map(function(hit) {
+    let distanceKm = null;
+    const geoDistance = hit._rankingInfo?.geoDistance;
+
+    if (typeof geoDistance === 'number') {
+      distanceKm = geoDistance / 1000;
+    } else if (hasOrigin) {
+      const coordinates = getHitCoordinates(hit);
+      if (coordinates) {
+        distanceKm = haversineKm(originLat, originLng, coordinates.lat, coordinates.lng);
+      }
+    }
+
+    return {
+      ...hit,
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 10) / 10
+    };
+  });
+}
+
+// 30 -> 60 -> 120 with the defaults; the last step is capped at maxRadiusKm
+// and there are never more than maxSteps of them
+function getRadiusSteps(radiusKm, options = {}) {
+  const maxRadiusKm = Math.max(options.maxRadiusKm || radiusKm, radiusKm);
+  const maxSteps = options.maxSteps >= 1 ? Math.floor(options.maxSteps) : Infinity;
+  let factor = options.factor > 1 ? options.factor : 2;
+
+  // A far-off maxRadiusKm must not turn into a long run of searches: widen
+  // faster so the capped number of steps still ends at maxRadiusKm
+  if (maxSteps > 1 && maxSteps !== Infinity) {
+    factor = Math.max(factor, Math.pow(maxRadiusKm / radiusKm, 1 / (maxSteps - 1)));
+  }
+
+  const steps = [radiusKm];
+
+  while (steps.length < maxSteps && steps[steps.length - 1] < maxRadiusKm) {
+    const next = steps.length === maxSteps - 1 ? maxRadiusKm : steps[steps.length - 1] * factor;
+    steps.push(Math.min(next, maxRadiusKm));
+  }
+
+  return steps;
+}
+
+// Runs attempt(radiusKm) for each radius step until it yields at least
+// minResults results (attempt resolves to { results, ... }), or until
+// options.canWiden() says the caller's search budget is spent. Resolves to
+// the last attempt plus effectiveRadiusKm and the radii that were tried
+async function searchWithRadiusExpansion(attempt, options) {
+  const steps = options.minResults > 0 ? getRadiusSteps(options.radiusKm, options) : [options.radiusKm];
+  const radiiTried = [];
+  let outcome;
+
+  for (const radiusKm of steps) {
+    radiiTried.push(radiusKm);
+    outcome = await attempt(radiusKm);
+    if (outcome.results.length >= (options.minResults || 0)) break;
+    if (options.canWiden && !options.canWiden()) break;
+  }
+
+  return {
+    ...outcome,
+    effectiveRadiusKm: radiiTried[radiiTried.length - 1],
+    radiiTried
+  };
+}
+
+module.exports = {
+  haversineKm,
+  getHitCoordinates,
+  annotateDistances,
+  getRadiusSteps,
+  searchWithRadiusExpansion
+};
@@ -0,0 +1,142 @@
+// lib/filters.js - Structured search filters compiled into escaped Algolia filter strings
+//
+// Requests send an object, never filter syntax:
+//   {
+//     priceMin: 10, priceMax: 80,        // variants_min_price range
+//     vendors: ['Anna Schmidt'],         // any of these artists
+//     medium: 'print' | 'original',
+//     featuredOnly: true,
+//     excludeHandles: ['koelner-dom']
+//   }
+// Every value is validated, and strings are quoted and escaped when compiled.
+const crypto = require('crypto');
+
+const MAX_VENDORS = 20;
+const MAX_EXCLUDED_HANDLES = 50;
+const MAX_STRING_LENGTH = 200;
+const HANDLE_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+
+// The medium facet differs per shop; both attribute and values must be
+// declared in the index's attributesForFaceting
+const DEFAULT_MEDIUM_OPTIONS = {
+  attribute: 'product_type',
+  values: { print: 'Print', original: 'Original' }
+};
+
+function isValidHandle(handle) {
+  return typeof handle === 'string' && handle.length <= MAX_STRING_LENGTH && HANDLE_PATTERN.test(handle);
+}
+
+function parseStringList(value, name, maxItems, isValid) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > maxItems) {
+    throw new Error(`filters.${name} must be an array of 1-${maxItems} items`);
+  }
+  if (!value.every(isValid)) {
+    throw new Error(`filters.${name} contains an invalid value`);
+  }
+  return Array.from(new Set(value)).sort();
+}
+
+function parsePrice(value, name) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`filters.${name} must be a non-negative number`);
+  }
+  return value;
+}
+
+// Validates and normalizes a filters object (sorted, deduplicated, only the
+// keys that were set). Throws with a client-safe message on anything else
+function parseFilters(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('filters must be an object');
+  }
+
+  const filters = {};
+
+  Object.keys(input).forEach(function(key) {
+    const value = input[key];
+
+    switch (key) {
+      case 'priceMin':
+      case 'priceMax':
+        filters[key] = parsePrice(value, key);
+        break;
+      case 'vendors':
+        filters.vendors = parseStringList(value, key, MAX_VENDORS, vendor => {
+          return typeof vendor === 'string' && vendor.trim().length > 0 && vendor.length <= MAX_STRING_LENGTH;
+        });
+        break;
+      case 'medium':
+        if (value !== 'print' && value !== 'original') {
+          throw new Error('filters.medium must be "print" or "original"');
+        }
+        filters.medium = value;
+        break;
+      case 'featuredOnly':
+        if (typeof value !== 'boolean') {
+          throw new Error('filters.featuredOnly must be a boolean');
+        }
+        if (value) filters.featuredOnly = true;
+        break;
+      case 'excludeHandles':
+        filters.excludeHandles = parseStringList(value, key, MAX_EXCLUDED_HANDLES, isValidHandle);
+        break;
+      default:
+        throw new Error(`Unknown filter: ${key}`);
+    }
+  });
+
+  if (filters.priceMin !== undefined && filters.priceMax !== undefined && filters.priceMin > filters.priceMax) {
+    throw new Error('filters.priceMin must not be greater than filters.priceMax');
+  }
+
+  return filters;
+}
+
+// Algolia string literal: double quotes with backslashes and quotes escaped
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Compiles parsed filters plus extra excluded handles (e.g. the product being
+// viewed) into one Algolia filter string, or undefined when there is nothing to filter
+function compileFilters(filters = {}, options = {}) {
+  const medium = options.medium || DEFAULT_MEDIUM_OPTIONS;
+  const clauses = [];
+
+  if (filters.priceMin !== undefined) {
+    clauses.push(`variants_min_price >= ${filters.priceMin}`);
+  }
+  if (filters.priceMax !== undefined) {
+    clauses.push(`variants_min_price <= ${filters.priceMax}`);
+  }
+  if (filters.vendors) {
+    clauses.push(`(${filters.vendors.map(vendor => `vendor:${quoteFilterValue(vendor)}`).join(' OR ')})`);
+  }
+  if (filters.medium) {
+    clauses.push(`${medium.attribute}:${quoteFilterValue(medium.values[filters.medium])}`);
+  }
+  if (filters.featuredOnly) {
+    clauses.push('meta.featured:"yes"');
+  }
+
+  const excluded = Array.from(new Set([...(filters.excludeHandles || []), ...(options.excludeHandles || [])]));
+  excluded.forEach(handle => clauses.push(`NOT handle:${quoteFilterValue(handle)}`));
+
+  return clauses.length > 0 ? clauses.join(' AND ') : undefined;
+}
+
+// Cache key suffix - parsed filters are already in canonical order
+function getFiltersKeyPart(filters) {
+  if (!filters || Object.keys(filters).length === 0) return '';
+  const json = JSON.stringify(filters, Object.keys(filters).sort());
+  return `:filters=${crypto.createHash('sha1').update(json).digest('base64url').slice(0, 12)}`;
+}
+
+module.exports = {
+  isValidHandle,
+  parseFilters,
+  compileFilters,
+  getFiltersKeyPart
+};
@@ -0,0 +1,129 @@
+// lib/geo-bucket.js - Coordinate bucketing for cache keys (geohash or rounded grid)
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+function encodeGeohash(lat, lng, precision) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let charIndex = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    // Bits alternate between longitude (even) and latitude (odd)
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    if (value >= mid) {
+      charIndex = (charIndex << 1) | 1;
+      range[0] = mid;
+    } else {
+      charIndex = charIndex << 1;
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[charIndex];
+      bits = 0;
+      charIndex = 0;
+    }
+  }
+
+  return hash;
+}
+
+// Returns the cell bounds of a geohash
+function decodeGeohash(hash) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const charIndex = GEOHASH_ALPHABET.indexOf(char);
+    if (charIndex === -1) {
+      throw new Error(`Invalid geohash character: ${char}`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((charIndex >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    minLat: latRange[0],
+    maxLat: latRange[1],
+    minLng: lngRange[0],
+    maxLng: lngRange[1],
+    lat: (latRange[0] + latRange[1]) / 2,
+    lng: (lngRange[0] + lngRange[1]) / 2
+  };
+}
+
+// Default precision per mode: geohash 6 is a ~1.2km x 0.6km cell,
+// 2 grid decimals is ~1.1km of latitude
+const DEFAULT_PRECISION = {
+  geohash: 6,
+  grid: 2
+};
+
+// Beyond these a bucket is smaller than GPS noise (geohash 12 is ~4cm,
+// 8 grid decimals ~1mm), and toFixed() throws past 100 decimals
+const MAX_PRECISION = {
+  geohash: 12,
+  grid: 8
+};
+
+// Snap coordinates to a bucket. Searches use the bucket center so every
+// request inside the bucket gets the same results, not just the same cache key.
+// Returns null when bucketing is off
+function bucketCoordinates(lat, lng, options = {}) {
+  const mode = options.mode || 'off';
+  if (mode === 'off') return null;
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  const precision = options.precision || DEFAULT_PRECISION[mode];
+
+  if (mode === 'geohash') {
+    const id = encodeGeohash(latitude, longitude, precision);
+    const cell = decodeGeohash(id);
+    return {
+      mode,
+      precision,
+      id,
+      lat: Number(cell.lat.toFixed(6)),
+      lng: Number(cell.lng.toFixed(6))
+    };
+  }
+
+  if (mode === 'grid') {
+    const roundedLat = Number(latitude.toFixed(precision));
+    const roundedLng = Number(longitude.toFixed(precision));
+    return {
+      mode,
+      precision,
+      id: `${roundedLat.toFixed(precision)},${roundedLng.toFixed(precision)}`,
+      lat: roundedLat,
+      lng: roundedLng
+    };
+  }
+
+  throw new Error(`Unknown coordinate bucketing mode: ${mode}`);
+}
+
+module.exports = {
+  MAX_PRECISION,
+  encodeGeohash,
+  decodeGeohash,
+  bucketCoordinates
+};
@@ -0,0 +1,118 @@
+// lib/http-cache.js - HTTP caching for HTML served directly (ETag, encoding, Cache-Control)
+//
+// Cached HTML is compressed once per content hash and encoding, so repeated
+// requests (and CDN revalidations) don't pay for brotli every time.
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+// Preferred first when the client accepts both equally
+const ENCODINGS = ['br', 'gzip'];
+
+// Bodies below this aren't worth compressing
+const MIN_COMPRESS_BYTES = 1024;
+
+function getContentHash(body) {
+  return crypto.createHash('sha256').update(body).digest('base64url').slice(0, 27);
+}
+
+// Strong ETag per representation - compressed variants get their own
+function getStrongEtag(hash, encoding) {
+  return `"${hash}${encoding ? `-${encoding}` : ''}"`;
+}
+
+// Accept-Encoding -> 'br' | 'gzip' | null (identity), honouring q-values.
+// Small bodies are always sent as they are
+function negotiateEncoding(acceptEncoding, byteLength = Infinity) {
+  if (!acceptEncoding || byteLength < MIN_COMPRESS_BYTES) return null;
+
+  const weights = new Map();
+  acceptEncoding.split(',').forEach(function(part) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    if (name.trim()) weights.set(name.trim(), Number.isFinite(q) ? q : 0);
+  });
+
+  const wildcard = weights.has('*') ? weights.get('*') : 0;
+  let best = null;
+  let bestWeight = 0;
+  ENCODINGS.forEach(function(encoding) {
+    const weight = weights.has(encoding) ? weights.get(encoding) : wildcard;
+    if (weight > bestWeight) {
+      best = encoding;
+      bestWeight = weight;
+    }
+  });
+  return best;
+}
+
+// Cache-Control for a cached entry: fresh for what's left of its server TTL
+// (capped, so purges reach browsers and CDNs reasonably fast), then usable
+// stale for the server's stale window while it revalidates
+function getCacheControl(options) {
+  const maxAgeSec = Math.max(0, Math.floor(Math.min(options.remainingMs / 1000, options.maxAgeCapSec)));
+  const staleSec = Math.max(0, Math.floor(options.staleMs / 1000));
+  return `public, max-age=${maxAgeSec}, stale-while-revalidate=${staleSec}, stale-if-error=${staleSec}`;
+}
+
+// hash:encoding -> compressed Buffer, least recently used evicted first
+function createCompressionCache(options = {}) {
+  const maxEntries = options.maxEntries || 200;
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0 };
+
+  async function compress(body, encoding) {
+    if (encoding === 'br') {
+      return brotliCompress(body, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: 9,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(body)
+        }
+      });
+    }
+    return gzip(body, { level: 9 });
+  }
+
+  return {
+    // -> { body, encoding } with encoding null when sent uncompressed
+    async encode(hash, body, encoding) {
+      if (!encoding) {
+        return { body: Buffer.from(body), encoding: null };
+      }
+
+      const key = `${hash}:${encoding}`;
+      if (entries.has(key)) {
+        counters.hits++;
+        const cached = entries.get(key);
+        entries.delete(key);
+        entries.set(key, cached);
+        return { body: cached, encoding };
+      }
+
+      counters.misses++;
+      const compressed = await compress(body, encoding);
+      entries.set(key, compressed);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return { body: compressed, encoding };
+    },
+
+    stats() {
+      return { entries: entries.size, maxEntries, ...counters };
+    }
+  };
+}
+
+module.exports = {
+  MIN_COMPRESS_BYTES,
+  getContentHash,
+  getStrongEtag,
+  negotiateEncoding,
+  getCacheControl,
+  createCompressionCache
+};
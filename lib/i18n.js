@@ -0,0 +1,64 @@
+// lib/i18n.js - Per-locale message catalogs for SSR output
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const FALLBACK_LANGUAGE = 'en';
+
+// One JSON file per locale or language: locales/de.json, locales/en.json, locales/de-AT.json ...
+function loadCatalogs(dir = DEFAULT_LOCALES_DIR) {
+  const catalogs = {};
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(function(file) {
+      const name = path.basename(file, '.json').toLowerCase();
+      catalogs[name] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    });
+  return catalogs;
+}
+
+const catalogs = loadCatalogs();
+
+// A locale Intl understands, e.g. "de-DE" - used both for catalogs and number formatting
+function isSupportedLocale(locale) {
+  try {
+    return typeof locale === 'string' && Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isSupportedCurrency(currency) {
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency });
+    return typeof currency === 'string' && /^[A-Za-z]{3}$/.test(currency);
+  } catch (error) {
+    return false;
+  }
+}
+
+// de-AT -> de-at catalog, then de, then en
+function getCatalogChain(locale) {
+  const normalized = String(locale || '').toLowerCase();
+  const language = normalized.split('-')[0];
+  return [normalized, language, FALLBACK_LANGUAGE]
+    .filter((name, index, list) => name && list.indexOf(name) === index && catalogs[name]);
+}
+
+// translate('de-DE', 'pricing.from', { printPrice: '7 €' })
+function translate(locale, key, params = {}) {
+  const chain = getCatalogChain(locale);
+  const catalog = chain.find(name => catalogs[name][key] !== undefined);
+  const message = catalog ? catalogs[catalog][key] : key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    return params[name] !== undefined ? String(params[name]) : match;
+  });
+}
+
+module.exports = {
+  loadCatalogs,
+  isSupportedLocale,
+  isSupportedCurrency,
+  translate
+};
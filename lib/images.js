@@ -0,0 +1,126 @@
+// lib/images.js - Responsive Shopify CDN images for SSR cards
+
+const DEFAULT_WIDTHS = [200, 300, 400, 600, 800, 1000];
+const DEFAULT_SIZES = '(min-width: 990px) 25vw, (min-width: 750px) 33vw, 50vw';
+const DEFAULT_SRC_WIDTH = 600;
+
+function isShopifyCdnUrl(imageUrl) {
+  try {
+    return new URL(imageUrl).hostname === 'cdn.shopify.com';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Shopify's CDN resizes any format (jpg, png, webp, gif) via the `width`
+// query parameter. Legacy `_600x` filename suffixes are stripped first so
+// they don't fight with it
+function getShopifyImageUrl(imageUrl, width) {
+  if (!isShopifyCdnUrl(imageUrl)) return imageUrl;
+
+  const url = new URL(imageUrl);
+  url.pathname = url.pathname.replace(/_(\d+x\d*|\d*x\d+)(?=\.[a-z]+$)/i, '');
+  url.searchParams.set('width', String(width));
+  return url.toString();
+}
+
+// Real dimensions when the index provides them, either as pixel sizes or an
+// aspect ratio (width / height). Returns null when unknown, rather than
+// guessing a landscape 4:3 that shifts layout for portrait paintings
+function getImageDimensions(product) {
+  const width = Number(product.image_width || product.product_image_width);
+  const height = Number(product.image_height || product.product_image_height);
+
+  if (width > 0 && height > 0) {
+    return { width, height, aspectRatio: width / height };
+  }
+
+  const aspectRatio = Number(product.image_aspect_ratio);
+  if (aspectRatio > 0) {
+    return { width: null, height: null, aspectRatio };
+  }
+
+  return null;
+}
+
+// Everything a card needs for <img src srcset sizes width height>
+function getResponsiveImage(product, options = {}) {
+  const imageUrl = product.product_image || product.image || '';
+  if (!imageUrl) return null;
+
+  const widths = options.widths || DEFAULT_WIDTHS;
+  const sizes = options.sizes || DEFAULT_SIZES;
+  const srcWidth = options.srcWidth || DEFAULT_SRC_WIDTH;
+  const dimensions = getImageDimensions(product);
+
+  // Never ask the CDN to upscale beyond the original
+  const usableWidths = dimensions && dimensions.width
+    ? widths.filter(width => width <= dimensions.width)
+    : widths;
+
+  const image = {
+    src: getShopifyImageUrl(imageUrl, srcWidth),
+    srcset: null,
+    sizes: null,
+    width: null,
+    height: null,
+    aspectRatio: null
+  };
+
+  if (isShopifyCdnUrl(imageUrl) && usableWidths.length > 0) {
+    image.srcset = usableWidths.map(width => `${getShopifyImageUrl(imageUrl, width)} ${width}w`).join(', ');
+    image.sizes = sizes;
+  }
+
+  if (dimensions) {
+    // Scale the declared size to the src width; only the ratio matters to the browser
+    image.width = srcWidth;
+    image.height = Math.round(srcWidth / dimensions.aspectRatio);
+    image.aspectRatio = dimensions.width
+      ? `${dimensions.width} / ${dimensions.height}`
+      : String(Number(dimensions.aspectRatio.toFixed(4)));
+  }
+
+  return image;
+}
+
+// <link rel="preload"> hint for the LCP image, for the theme to inject in <head>
+function getPreloadHint(image) {
+  if (!image) return null;
+
+  const attributes = {
+    rel: 'preload',
+    as: 'image',
+    href: image.src,
+    imagesrcset: image.srcset,
+    imagesizes: image.sizes,
+    fetchpriority: 'high'
+  };
+
+  const tag = '<link ' + Object.keys(attributes)
+    .filter(name => attributes[name])
+    .map(name => `${name}="${String(attributes[name]).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+    .join(' ') + '>';
+
+  return { ...attributes, tag };
+}
+
+// The same hint as an HTTP Link header, for responses that serve the HTML directly
+function getPreloadLinkHeader(hint) {
+  if (!hint) return null;
+
+  const params = ['rel=preload', 'as=image'];
+  if (hint.imagesrcset) params.push(`imagesrcset="${hint.imagesrcset.replace(/"/g, '%22')}"`);
+  if (hint.imagesizes) params.push(`imagesizes="${hint.imagesizes.replace(/"/g, '%22')}"`);
+  params.push('fetchpriority=high');
+
+  return `<${hint.href.replace(/[<>\s]/g, encodeURIComponent)}>; ${params.join('; ')}`;
+}
+
+module.exports = {
+  getShopifyImageUrl,
+  getImageDimensions,
+  getResponsiveImage,
+  getPreloadHint,
+  getPreloadLinkHeader
+};
@@ -0,0 +1,261 @@
+// lib/local-index.js - In-memory product index answering Algolia-style searches
+//
+// Backs the `local` search provider (offline development and the tests).
+// Supports what the endpoints send:
+//   query                  case-insensitive match on title and vendor ('' matches all)
+//   aroundLatLng/Radius    geo filter in meters, results sorted by distance
+//   insideBoundingBox      one or more boxes (lat1, lng1, lat2, lng2), as an array or string
+//   getRankingInfo         adds _rankingInfo.geoDistance (meters)
+//   filters                the subset of filter syntax filters.js produces:
+//                          attr:"value", attr:value, attr <op> number, NOT, AND, OR, ( )
+//   hitsPerPage / page     paging, with nbHits / nbPages like Algolia
+//   attributesToRetrieve   top-level and dotted paths ('meta.location.details')
+const { haversineKm, getHitCoordinates } = require('./distance');
+
+const DEFAULT_HITS_PER_PAGE = 20;
+
+function createQueryError(message) {
+  const error = new Error(message);
+  // Like Algolia's 400 for invalid filters - not retried, doesn't trip the circuit
+  error.status = 400;
+  return error;
+}
+
+function getValue(product, attribute) {
+  return attribute.split('.').reduce((value, key) => (value == null ? undefined : value[key]), product);
+}
+
+// --- Filter expressions ---
+
+const TOKEN_PATTERN = /\s*(\(|\)|"(?:[^"\\]|\\.)*"|<=|>=|!=|<|>|=|:|[^\s()":<>=!]+)/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while (TOKEN_PATTERN.lastIndex < expression.length && (match = TOKEN_PATTERN.exec(expression))) {
+    tokens.push(match[1]);
+  }
+  if (TOKEN_PATTERN.lastIndex < expression.trimEnd().length) {
+    throw createQueryError(`Unsupported filter syntax near "${expression.slice(TOKEN_PATTERN.lastIndex)}"`);
+  }
+  return tokens;
+}
+
+function unquote(token) {
+  return token.startsWith('"') ? token.slice(1, -1).replace(/\\(.)/g, '$1') : token;
+}
+
+const COMPARATORS = {
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+// Recursive descent: or := and (OR and)*, and := not (AND not)*, not := NOT? atom
+function parseFilterExpression(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function expect(token) {
+    if (next() !== token) throw createQueryError(`Expected "${token}" in filters`);
+  }
+
+  function parseAtom() {
+    if (peek() === '(') {
+      next();
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+
+    const attribute = next();
+    const operator = next();
+    const operand = next();
+    if (!attribute || !operator || operand === undefined) {
+      throw createQueryError('Incomplete filter expression');
+    }
+
+    if (operator === ':') {
+      const expected = unquote(operand);
+      return function(product) {
+        const value = getValue(product, attribute);
+        const values = Array.isArray(value) ? value : [value];
+        return values.some(item => item !== undefined && item !== null && String(item) === expected);
+      };
+    }
+
+    const compare = COMPARATORS[operator];
+    const number = Number(operand);
+    if (!compare || !Number.isFinite(number)) {
+      throw createQueryError(`Unsupported filter comparison "${attribute} ${operator} ${operand}"`);
+    }
+    return function(product) {
+      const value = Number(getValue(product, attribute));
+      return Number.isFinite(value) && compare(value, number);
+    };
+  }
+
+  function parseNot() {
+    if (peek() === 'NOT') {
+      next();
+      const inner = parseAtom();
+      return product => !inner(product);
+    }
+    return parseAtom();
+  }
+
+  function parseAnd() {
+    const parts = [parseNot()];
+    while (peek() === 'AND') {
+      next();
+      parts.push(parseNot());
+    }
+    return product => parts.every(part => part(product));
+  }
+
+  function parseOr() {
+    const parts = [parseAnd()];
+    while (peek() === 'OR') {
+      next();
+      parts.push(parseAnd());
+    }
+    return product => parts.some(part => part(product));
+  }
+
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    throw createQueryError(`Unexpected "${peek()}" in filters`);
+  }
+  return predicate;
+}
+
+// --- Results ---
+
+function parseLatLng(value) {
+  const [lat, lng] = String(value).split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    throw createQueryError(`Invalid aroundLatLng "${value}"`);
+  }
+  return { lat, lng };
+}
+
+// [[lat1, lng1, lat2, lng2], ...] or "lat1,lng1,lat2,lng2,..." -> boxes
+function parseBoundingBoxes(value) {
+  const numbers = (typeof value === 'string' ? value.split(',') : [].concat(...value)).map(Number);
+  if (numbers.length === 0 || numbers.length % 4 !== 0 || !numbers.every(Number.isFinite)) {
+    throw createQueryError(`Invalid insideBoundingBox "${value}"`);
+  }
+
+  const boxes = [];
+  for (let i = 0; i < numbers.length; i += 4) {
+    const [lat1, lng1, lat2, lng2] = numbers.slice(i, i + 4);
+    boxes.push({
+      south: Math.min(lat1, lat2),
+      north: Math.max(lat1, lat2),
+      west: Math.min(lng1, lng2),
+      east: Math.max(lng1, lng2)
+    });
+  }
+  return boxes;
+}
+
+function isInsideBoxes(product, boxes) {
+  const coordinates = getHitCoordinates(product);
+  return Boolean(coordinates) && boxes.some(box => {
+    return coordinates.lat >= box.south && coordinates.lat <= box.north &&
+      coordinates.lng >= box.west && coordinates.lng <= box.east;
+  });
+}
+
+function pickAttributes(product, attributes) {
+  if (!attributes || attributes.includes('*')) return product;
+
+  const result = { objectID: product.objectID };
+  attributes.forEach(function(attribute) {
+    const value = getValue(product, attribute);
+    if (value === undefined) return;
+
+    const keys = attribute.split('.');
+    const last = keys.pop();
+    const target = keys.reduce(function(current, key) {
+      if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+      return current[key];
+    }, result);
+    target[last] = value;
+  });
+  return result;
+}
+
+function matchesQuery(product, query) {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  return [product.title, product.vendor].some(value => typeof value === 'string' && value.toLowerCase().includes(needle));
+}
+
+function createLocalIndex(products = []) {
+  // Every hit needs an objectID, like records pushed to Algolia
+  const records = products.map((product, index) => ({ objectID: String(product.objectID || product.id || index), ...product }));
+
+  return {
+    async search(query = '', params = {}) {
+      const startedAt = Date.now();
+      const matchesFilters = params.filters ? parseFilterExpression(params.filters) : () => true;
+      const origin = params.aroundLatLng ? parseLatLng(params.aroundLatLng) : null;
+      const radiusMeters = Number(params.aroundRadius) || Infinity;
+      const boxes = params.insideBoundingBox ? parseBoundingBoxes(params.insideBoundingBox) : null;
+
+      let matches = records
+        .filter(product => matchesQuery(product, query) && matchesFilters(product))
+        .filter(product => !boxes || isInsideBoxes(product, boxes))
+        .map(product => ({ product, distanceMeters: null }));
+
+      if (origin) {
+        matches = matches
+          .map(function(match) {
+            const coordinates = getHitCoordinates(match.product);
+            const distanceMeters = coordinates
+              ? Math.round(haversineKm(origin.lat, origin.lng, coordinates.lat, coordinates.lng) * 1000)
+              : null;
+            return { ...match, distanceMeters };
+          })
+          .filter(match => match.distanceMeters !== null && match.distanceMeters <= radiusMeters)
+          .sort((a, b) => a.distanceMeters - b.distanceMeters);
+      }
+
+      const hitsPerPage = params.hitsPerPage !== undefined ? params.hitsPerPage : DEFAULT_HITS_PER_PAGE;
+      const page = params.page || 0;
+      const pageMatches = matches.slice(page * hitsPerPage, (page + 1) * hitsPerPage);
+
+      const hits = pageMatches.map(function({ product, distanceMeters }) {
+        // Copies, so callers can annotate hits without touching the fixtures
+        const hit = structuredClone(pickAttributes(product, params.attributesToRetrieve));
+        if (params.getRankingInfo && distanceMeters !== null) {
+          hit._rankingInfo = { geoDistance: distanceMeters };
+        }
+        return hit;
+      });
+
+      return {
+        hits,
+        nbHits: matches.length,
+        page,
+        nbPages: hitsPerPage > 0 ? Math.ceil(matches.length / hitsPerPage) : 0,
+        hitsPerPage,
+        processingTimeMS: Date.now() - startedAt,
+        query
+      };
+    }
+  };
+}
+
+module.exports = {
+  parseFilterExpression,
+  createLocalIndex
+};
@@ -0,0 +1,100 @@
+// lib/logger.js - Leveled JSON logs, one object per line
+//
+//   {"time":"…","level":"info","msg":"Cache hit","requestId":"…","key":"nearby:…"}
+//
+// Fields bound with runWithContext (the request ID, set by the request
+// middleware) are added to every line logged inside that async call chain,
+// including lib modules that know nothing about requests.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const context = new AsyncLocalStorage();
+
+// Errors don't survive JSON.stringify - keep what's useful
+function serializeError(error) {
+  return {
+    message: error.message,
+    name: error.name,
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    ...(error.degradedReason && { degradedReason: error.degradedReason }),
+    stack: error.stack
+  };
+}
+
+function serializeFields(fields) {
+  const result = {};
+  Object.keys(fields).forEach(function(key) {
+    const value = fields[key];
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  });
+  return result;
+}
+
+function createLogger(options = {}) {
+  const state = {
+    level: LEVELS[options.level] ? options.level : 'info',
+    write: options.write || (line => process.stdout.write(line + '\n'))
+  };
+
+  function build(bindings) {
+    function log(level, msg, fields = {}) {
+      if (LEVELS[level] < LEVELS[state.level]) return;
+
+      const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...context.getStore(),
+        ...bindings,
+        ...serializeFields(fields)
+      };
+
+      let line;
+      try {
+        line = JSON.stringify(entry);
+      } catch (error) {
+        line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+      }
+      state.write(line);
+    }
+
+    return {
+      debug: (msg, fields) => log('debug', msg, fields),
+      info: (msg, fields) => log('info', msg, fields),
+      warn: (msg, fields) => log('warn', msg, fields),
+      error: (msg, fields) => log('error', msg, fields),
+      child: fields => build({ ...bindings, ...fields }),
+
+      setLevel(level) {
+        if (!LEVELS[level]) throw new Error(`Unknown log level: ${level}`);
+        state.level = level;
+      },
+
+      isLevelEnabled: level => LEVELS[level] >= LEVELS[state.level]
+    };
+  }
+
+  return build({});
+}
+
+// Runs fn with fields bound to every log line it (transitively) produces
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function getContext() {
+  return context.getStore() || {};
+}
+
+// Shared process-wide logger; the server sets its level from config
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  runWithContext,
+  getContext,
+  logger
+};
@@ -0,0 +1,170 @@
+// lib/map-tiles.js - Web Mercator tiles and per-tile GeoJSON clustering for the map view
+//
+// A viewport is covered by the z/x/y tiles of its zoom level. Each tile is
+// searched and clustered on its own, so it can be cached on its own. Inside a
+// tile, products are grouped on a gridSize x gridSize grid: a cell holding a
+// single product - and every cell from singleProductZoom on - yields product
+// points, any other cell one cluster point at the centroid of its products.
+// Clusters never span tile edges; that's the price of caching per tile.
+const { getHitCoordinates } = require('./distance');
+const { isFeatured } = require('./dedup');
+const { getShopifyImageUrl } = require('./images');
+
+const MAX_ZOOM = 22;
+
+// Web Mercator stops short of the poles
+const MAX_LATITUDE = 85.05112878;
+
+function clampLatitude(lat) {
+  return Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+}
+
+// Fractional tile coordinates, e.g. x = 68.4 is 40% into tile 68
+function lngToTileX(lng, zoom) {
+  return (lng + 180) / 360 * 2 ** zoom;
+}
+
+function latToTileY(lat, zoom) {
+  const radians = clampLatitude(lat) * Math.PI / 180;
+  return (1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * 2 ** zoom;
+}
+
+function tileXToLng(x, zoom) {
+  return x / 2 ** zoom * 360 - 180;
+}
+
+function tileYToLat(y, zoom) {
+  const n = Math.PI - 2 * Math.PI * y / 2 ** zoom;
+  return Math.atan(Math.sinh(n)) * 180 / Math.PI;
+}
+
+function getTileId(tile) {
+  return `${tile.z}/${tile.x}/${tile.y}`;
+}
+
+function getTileBounds(tile) {
+  return {
+    west: tileXToLng(tile.x, tile.z),
+    east: tileXToLng(tile.x + 1, tile.z),
+    north: tileYToLat(tile.y, tile.z),
+    south: tileYToLat(tile.y + 1, tile.z)
+  };
+}
+
+// bbox: [west, south, east, north] -> the tile rectangle covering it at zoom
+function getTileRange(bbox, zoom) {
+  const [west, south, east, north] = bbox;
+  const lastTile = 2 ** zoom - 1;
+  const toTile = value => Math.max(0, Math.min(lastTile, Math.floor(value)));
+
+  const minX = toTile(lngToTileX(west, zoom));
+  const maxX = toTile(lngToTileX(east, zoom));
+  const minY = toTile(latToTileY(north, zoom));
+  const maxY = toTile(latToTileY(south, zoom));
+
+  return { zoom, minX, maxX, minY, maxY, count: (maxX - minX + 1) * (maxY - minY + 1) };
+}
+
+function listTiles(range) {
+  const tiles = [];
+  for (let y = range.minY; y <= range.maxY; y++) {
+    for (let x = range.minX; x <= range.maxX; x++) {
+      tiles.push({ z: range.zoom, x, y });
+    }
+  }
+  return tiles;
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function toPoint(lat, lng) {
+  return { type: 'Point', coordinates: [roundCoordinate(lng), roundCoordinate(lat)] };
+}
+
+function describeProduct(hit, thumbnailWidth) {
+  const imageUrl = hit.product_image || hit.image;
+  return {
+    id: hit.id !== undefined ? hit.id : hit.objectID,
+    handle: hit.handle,
+    title: hit.title,
+    vendor: hit.vendor,
+    price: hit.price,
+    featured: isFeatured(hit),
+    thumbnail: imageUrl ? getShopifyImageUrl(imageUrl, thumbnailWidth) : null,
+    address: hit.meta?.location?.details?.formatted_address || null
+  };
+}
+
+function toProductFeature({ hit, coordinates }, thumbnailWidth) {
+  const product = describeProduct(hit, thumbnailWidth);
+  return {
+    type: 'Feature',
+    id: `product:${product.id}`,
+    geometry: toPoint(coordinates.lat, coordinates.lng),
+    properties: { cluster: false, count: 1, ...product }
+  };
+}
+
+// The representative artwork is the first featured one, else the best ranked
+function toClusterFeature(members, id, thumbnailWidth) {
+  const lats = members.map(member => member.coordinates.lat);
+  const lngs = members.map(member => member.coordinates.lng);
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const representative = members.find(member => isFeatured(member.hit)) || members[0];
+
+  return {
+    type: 'Feature',
+    id: `cluster:${id}`,
+    // Zooming the map to this shows every product of the cluster
+    bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)].map(roundCoordinate),
+    geometry: toPoint(sum(lats) / members.length, sum(lngs) / members.length),
+    properties: {
+      cluster: true,
+      count: members.length,
+      representative: describeProduct(representative.hit, thumbnailWidth)
+    }
+  };
+}
+
+// Hits (in ranking order) -> GeoJSON features for one tile. Hits outside the
+// tile, e.g. exactly on a shared edge, are left to the neighbouring tile
+function clusterTile(hits, tile, options = {}) {
+  const gridSize = options.gridSize || 4;
+  const singleProductZoom = options.singleProductZoom !== undefined ? options.singleProductZoom : 15;
+  const thumbnailWidth = options.thumbnailWidth || 200;
+  const cells = new Map();
+
+  hits.forEach(function(hit) {
+    const coordinates = getHitCoordinates(hit);
+    if (!coordinates) return;
+
+    const x = lngToTileX(coordinates.lng, tile.z) - tile.x;
+    const y = latToTileY(coordinates.lat, tile.z) - tile.y;
+    if (x < 0 || x >= 1 || y < 0 || y >= 1) return;
+
+    const cell = `${Math.floor(x * gridSize)}-${Math.floor(y * gridSize)}`;
+    if (!cells.has(cell)) cells.set(cell, []);
+    cells.get(cell).push({ hit, coordinates });
+  });
+
+  const features = [];
+  cells.forEach(function(members, cell) {
+    if (members.length === 1 || tile.z >= singleProductZoom) {
+      members.forEach(member => features.push(toProductFeature(member, thumbnailWidth)));
+    } else {
+      features.push(toClusterFeature(members, `${getTileId(tile)}/${cell}`, thumbnailWidth));
+    }
+  });
+  return features;
+}
+
+module.exports = {
+  MAX_ZOOM,
+  getTileId,
+  getTileBounds,
+  getTileRange,
+  listTiles,
+  clusterTile
+};
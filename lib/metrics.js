@@ -0,0 +1,126 @@
+// lib/metrics.js - Minimal Prometheus registry (counters, gauges, histograms)
+//
+// Renders the text exposition format for GET /metrics. Gauges can be backed by
+// an (async) collect function that is read at scrape time, so values owned by
+// other modules (cache size, circuit state) never go stale.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) return '';
+  return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+function getSeriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function toLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createRegistry(options = {}) {
+  const prefix = options.prefix || '';
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push({ ...metric, name: prefix + metric.name });
+    return metric.api;
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      return register({
+        name,
+        help,
+        type: 'counter',
+        lines: fullName => Array.from(series, ([key, value]) => `${fullName}${formatLabels(toLabels(labelNames, key))} ${value}`),
+        api: {
+          inc(labels, value = 1) {
+            const key = getSeriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + value);
+          }
+        }
+      });
+    },
+
+    // collect() -> number, or [{ labels, value }] for labelled gauges
+    gauge(name, help, collect) {
+      return register({
+        name,
+        help,
+        type: 'gauge',
+        lines: async fullName => {
+          const result = await collect();
+          const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+          return samples
+            .filter(sample => Number.isFinite(sample.value))
+            .map(sample => `${fullName}${formatLabels(sample.labels || {})} ${sample.value}`);
+        },
+        api: {}
+      });
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const series = new Map();
+      return register({
+        name,
+        help,
+        type: 'histogram',
+        lines: fullName => {
+          const lines = [];
+          series.forEach(function(data, key) {
+            const labels = toLabels(labelNames, key);
+            buckets.forEach(function(bound, index) {
+              lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: bound })} ${data.counts[index]}`);
+            });
+            lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${data.count}`);
+            lines.push(`${fullName}_sum${formatLabels(labels)} ${data.sum}`);
+            lines.push(`${fullName}_count${formatLabels(labels)} ${data.count}`);
+          });
+          return lines;
+        },
+        api: {
+          observe(labels, value) {
+            if (!Number.isFinite(value)) return;
+            const key = getSeriesKey(labelNames, labels);
+            if (!series.has(key)) {
+              series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const data = series.get(key);
+            buckets.forEach(function(bound, index) {
+              if (value <= bound) data.counts[index]++;
+            });
+            data.sum += value;
+            data.count++;
+          }
+        }
+      });
+    },
+
+    async render() {
+      const blocks = await Promise.all(metrics.map(async function(metric) {
+        const lines = await metric.lines(metric.name);
+        return [
+          `# HELP ${metric.name} ${metric.help}`,
+          `# TYPE ${metric.name} ${metric.type}`,
+          ...lines
+        ].join('\n');
+      }));
+      return blocks.join('\n') + '\n';
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry
+};
@@ -0,0 +1,180 @@
+// lib/prewarm.js - Scheduled cache pre-warming from a city manifest
+const fs = require('fs');
+const { mapWithConcurrency } = require('./concurrency');
+const { validate } = require('./validation');
+const { logger } = require('./logger');
+
+// Manifest: JSON array (or { cities: [...] }) of
+//   { cityName, lat, lng, radiusKm?, collectionHandle?, hitsPerPage?, locale?, currency?, structuredData?,
+//     minResults?, maxRadiusKm?, filters?, index?, shop? }
+// Each entry is validated against `schema` (the API's collection schema plus
+// shop), so entries get the same caps and defaults - and cache keys - as requests.
+// shop limits an entry to one store for the Shopify app proxy (myshopify domain)
+function loadCityManifest(filePath, schema) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const cities = Array.isArray(raw) ? raw : raw.cities;
+
+  if (!Array.isArray(cities)) {
+    throw new Error(`City manifest ${filePath} must be an array or { "cities": [...] }`);
+  }
+
+  return cities.map(function(city, index) {
+    const { value, errors } = validate(schema, city);
+    if (errors.length > 0) {
+      const problems = errors.map(error => `${error.field} ${error.message}`).join(', ');
+      throw new Error(`City manifest entry ${index}: ${problems}`);
+    }
+    return value;
+  });
+}
+
+// For request paths: parses the manifest again only when the file changes.
+// Returns null while there is no manifest file
+function createCityManifestReader(filePath, schema) {
+  let cached = null;
+
+  return function readCityManifest() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      cached = null;
+      return null;
+    }
+
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+      cached = { mtimeMs, cities: loadCityManifest(filePath, schema) };
+    }
+    return cached.cities;
+  };
+}
+
+// Warms every manifest city at startup and then every intervalMs.
+// warmCity(spec) does the actual work and resolves to { skipped?, products? }
+function createPrewarmer(options) {
+  const manifestPath = options.manifestPath;
+  const schema = options.schema;
+  const warmCity = options.warmCity;
+  const concurrency = options.concurrency || 2;
+  const intervalMs = options.intervalMs || 0;
+
+  const cityStatus = new Map();
+  let running = null;
+  let timer = null;
+  let lastRun = null;
+  let manifestError = null;
+
+  // Keyed by the whole entry - one city can be listed per shop, locale or index
+  function getStatus(spec) {
+    const key = JSON.stringify(spec);
+    if (!cityStatus.has(key)) {
+      cityStatus.set(key, {
+        cityName: spec.cityName,
+        collectionHandle: spec.collectionHandle || null,
+        locale: spec.locale || null,
+        shop: spec.shop || null,
+        index: spec.index || null,
+        state: 'pending',
+        lastWarmedAt: null,
+        lastDurationMs: null,
+        products: null,
+        lastError: null,
+        lastErrorAt: null
+      });
+    }
+    return cityStatus.get(key);
+  }
+
+  async function warmOne(spec) {
+    const status = getStatus(spec);
+    const startedAt = Date.now();
+    status.state = 'warming';
+
+    try {
+      const result = await warmCity(spec);
+      status.state = result.skipped ? 'fresh' : 'warm';
+      status.lastWarmedAt = new Date().toISOString();
+      status.lastDurationMs = Date.now() - startedAt;
+      if (result.products !== undefined) status.products = result.products;
+    } catch (error) {
+      status.state = 'failed';
+      status.lastError = error.message;
+      status.lastErrorAt = new Date().toISOString();
+      logger.error('Pre-warm failed', { city: spec.cityName, error });
+    }
+  }
+
+  async function runOnce() {
+    let cities;
+    try {
+      // Re-read every run so manifest edits apply without a restart
+      cities = loadCityManifest(manifestPath, schema);
+      manifestError = null;
+    } catch (error) {
+      manifestError = error.message;
+      logger.error('Failed to load city manifest', { manifestPath, error });
+      return;
+    }
+
+    const startedAt = Date.now();
+    logger.info('Pre-warming cities', { cities: cities.length, concurrency });
+
+    await mapWithConcurrency(cities, concurrency, warmOne);
+
+    const failed = cities.filter(city => getStatus(city).state === 'failed').length;
+    lastRun = {
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      cities: cities.length,
+      failed
+    };
+
+    logger.info('Pre-warm complete', lastRun);
+  }
+
+  return {
+    // Starts a run unless one is already in progress; resolves when it finishes
+    run() {
+      if (!running) {
+        running = runOnce().finally(() => {
+          running = null;
+        });
+      }
+      return running;
+    },
+
+    start({ runNow = true } = {}) {
+      if (runNow) this.run();
+      if (intervalMs > 0 && !timer) {
+        timer = setInterval(() => this.run(), intervalMs);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+
+    status() {
+      return {
+        manifestPath,
+        manifestError,
+        concurrency,
+        intervalMs,
+        running: running !== null,
+        lastRun,
+        cities: Array.from(cityStatus.values())
+      };
+    }
+  };
+}
+
+module.exports = {
+  loadCityManifest,
+  createCityManifestReader,
+  createPrewarmer
+};
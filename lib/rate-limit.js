@@ -0,0 +1,111 @@
+// lib/rate-limit.js - Token-bucket rate limiting per client
+//
+// Each client key (IP) gets `burst` tokens that refill at `perMinute`. A request
+// takes one token; an empty bucket means 429 until the next token arrives.
+// Idle buckets are dropped once full again, and the oldest are evicted past
+// maxBuckets so a flood of new IPs can't grow memory without bound.
+const { sendError } = require('./validation');
+
+function createRateLimiter(options = {}) {
+  const burst = options.burst || 60;
+  const perMinute = options.perMinute || 60;
+  const maxBuckets = options.maxBuckets || 10000;
+  const refillPerMs = perMinute / 60000;
+
+  // key -> { tokens, updatedAt, limited }, in least-recently-used order. The
+  // per-client limited count lives on the bucket so it is evicted with it
+  const buckets = new Map();
+  const counters = { allowed: 0, limited: 0, evicted: 0 };
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  return {
+    burst,
+    perMinute,
+
+    // -> { allowed, remaining, retryAfterSec }
+    take(key, now = Date.now()) {
+      let bucket = buckets.get(key);
+      if (bucket) {
+        buckets.delete(key);
+        refill(bucket, now);
+      } else {
+        bucket = { tokens: burst, updatedAt: now, limited: 0 };
+      }
+      buckets.set(key, bucket);
+
+      while (buckets.size > maxBuckets) {
+        buckets.delete(buckets.keys().next().value);
+        counters.evicted++;
+      }
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        counters.allowed++;
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSec: 0 };
+      }
+
+      counters.limited++;
+      bucket.limited++;
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterSec: Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000))
+      };
+    },
+
+    // Drop buckets that have refilled completely - they behave like new ones
+    prune(now = Date.now()) {
+      let removed = 0;
+      buckets.forEach(function(bucket, key) {
+        refill(bucket, now);
+        if (bucket.tokens >= burst) {
+          buckets.delete(key);
+          removed++;
+        }
+      });
+      return removed;
+    },
+
+    stats(now = Date.now()) {
+      const clients = Array.from(buckets, function([key, bucket]) {
+        const tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        return { key, tokens: Math.floor(tokens), limited: bucket.limited };
+      });
+
+      return {
+        burst,
+        perMinute,
+        clients: clients.length,
+        ...counters,
+        // Clients closest to (or at) their limit first
+        lowest: clients.sort((a, b) => a.tokens - b.tokens).slice(0, 20)
+      };
+    }
+  };
+}
+
+// Express middleware: one token per request from the client's bucket
+function rateLimit(limiter, options = {}) {
+  const getKey = options.getKey || (req => req.ip);
+
+  return function(req, res, next) {
+    const result = limiter.take(getKey(req));
+    res.set('RateLimit-Limit', String(limiter.burst));
+    res.set('RateLimit-Remaining', String(result.remaining));
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSec));
+      return sendError(res, 429, 'rate_limited', 'Too many requests, please retry later');
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  rateLimit
+};
@@ -0,0 +1,212 @@
+// lib/search-client.js - Timeouts, retries and a circuit breaker around index.search
+const { logger } = require('./logger');
+
+function createSearchError(code, message, cause) {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(createSearchError('SEARCH_TIMEOUT', `Search timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Short reason string surfaced to clients in degraded responses
+function describeSearchFailure(error) {
+  switch (error.code) {
+    case 'CIRCUIT_OPEN':
+      return 'circuit_open';
+    case 'SEARCH_TIMEOUT':
+      return 'search_timeout';
+    default:
+      return 'search_error';
+  }
+}
+
+// Lets the endpoints tell search outages apart from their own bugs
+function tagSearchFailure(error) {
+  error.degradedReason = describeSearchFailure(error);
+  return error;
+}
+
+// Algolia answers 4xx for bad requests (invalid filters, bad API key) - retrying won't help
+function isRetryable(error) {
+  if (error.code === 'CIRCUIT_OPEN') return false;
+  return !(error.status >= 400 && error.status < 500);
+}
+
+// Wraps anything with an Algolia-style `search(query, params)` method.
+//   closed    - requests pass through; consecutive failures are counted
+//   open      - requests fail fast with CIRCUIT_OPEN until resetTimeoutMs passes
+//   half-open - one trial request decides whether to close or re-open
+function createResilientIndex(index, options = {}) {
+  const timeoutMs = options.timeoutMs || 3000;
+  const retries = options.retries !== undefined ? options.retries : 2;
+  const retryBaseMs = options.retryBaseMs || 200;
+  const failureThreshold = options.failureThreshold || 5;
+  const resetTimeoutMs = options.resetTimeoutMs || 30000;
+
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+
+  const counters = {
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    retries: 0,
+    timeouts: 0,
+    rejected: 0
+  };
+
+  function currentState() {
+    if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) {
+      state = 'half-open';
+      logger.warn('Search circuit half-open - allowing a trial request');
+    }
+    return state;
+  }
+
+  function recordSuccess() {
+    counters.successes++;
+    consecutiveFailures = 0;
+    if (state !== 'closed') {
+      logger.info('Search circuit closed - Algolia recovered');
+    }
+    state = 'closed';
+  }
+
+  function recordFailure(error) {
+    counters.failures++;
+    consecutiveFailures++;
+    lastError = { code: error.code || null, message: error.message, at: new Date().toISOString() };
+
+    if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+      if (state !== 'open') {
+        logger.error('Search circuit opened', { consecutiveFailures, error });
+      }
+      state = 'open';
+      openedAt = Date.now();
+    }
+  }
+
+  async function attempt(query, params) {
+    try {
+      const response = await withTimeout(index.search(query, params), timeoutMs);
+      recordSuccess();
+      return response;
+    } catch (error) {
+      if (error.code === 'SEARCH_TIMEOUT') counters.timeouts++;
+      recordFailure(error);
+      throw error;
+    }
+  }
+
+  return {
+    async search(query, params) {
+      counters.requests++;
+
+      for (let attemptNumber = 0; ; attemptNumber++) {
+        const circuit = currentState();
+        const isTrial = circuit === 'half-open';
+
+        if (circuit === 'open' || (isTrial && trialInFlight)) {
+          counters.rejected++;
+          throw tagSearchFailure(createSearchError('CIRCUIT_OPEN', 'Search circuit is open - Algolia is unavailable', lastError));
+        }
+
+        if (isTrial) trialInFlight = true;
+
+        try {
+          return await attempt(query, params);
+        } catch (error) {
+          if (attemptNumber >= retries || !isRetryable(error) || currentState() === 'open') {
+            throw tagSearchFailure(error);
+          }
+
+          // Exponential backoff with jitter: 200ms, 400ms, 800ms, ...
+          const delay = retryBaseMs * Math.pow(2, attemptNumber) + Math.random() * retryBaseMs;
+          counters.retries++;
+          logger.warn('Retrying search', { delayMs: Math.round(delay), attempt: attemptNumber + 2, maxAttempts: retries + 1 });
+          await sleep(delay);
+        } finally {
+          if (isTrial) trialInFlight = false;
+        }
+      }
+    },
+
+    state: currentState,
+
+    stats() {
+      return {
+        state: currentState(),
+        consecutiveFailures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        lastError,
+        timeoutMs,
+        retries,
+        failureThreshold,
+        resetTimeoutMs,
+        ...counters
+      };
+    }
+  };
+}
+
+// Simulated search backend for exercising the degraded paths without
+// touching Algolia: 'error' rejects, 'timeout' never answers, 'flaky' fails
+// every other request
+function createFailingIndex(mode = 'error') {
+  let calls = 0;
+
+  return {
+    search() {
+      calls++;
+
+      if (mode === 'timeout') {
+        return new Promise(() => {});
+      }
+
+      if (mode === 'flaky' && calls % 2 === 0) {
+        return Promise.resolve({ hits: [], nbHits: 0, processingTimeMS: 0 });
+      }
+
+      const error = new Error('Simulated search backend failure');
+      error.status = 503;
+      return Promise.reject(error);
+    }
+  };
+}
+
+// Stands in when no Algolia credentials are configured (outside production) -
+// every search fails with a 4xx-style error, so it isn't retried
+function createUnconfiguredIndex() {
+  return {
+    search() {
+      const error = new Error('Algolia credentials are not configured');
+      error.status = 401;
+      return Promise.reject(error);
+    }
+  };
+}
+
+module.exports = {
+  createResilientIndex,
+  createFailingIndex,
+  createUnconfiguredIndex,
+  describeSearchFailure
+};
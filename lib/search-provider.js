@@ -0,0 +1,68 @@
+// lib/search-provider.js - Where searches go: Algolia, or local fixtures
+//
+// A provider turns an index name into something with an Algolia-style
+// `search(query, params)` method; server.js wraps each one with the
+// timeouts, retries and circuit breaker from search-client.js.
+//   algolia - the hosted index (needs ALGOLIA_APP_ID / ALGOLIA_SEARCH_API_KEY)
+//   local   - products from a JSON fixtures file, searched in memory, so the
+//             server and the tests run without network access
+const fs = require('fs');
+const algoliasearch = require('algoliasearch');
+const { createUnconfiguredIndex } = require('./search-client');
+const { createLocalIndex } = require('./local-index');
+
+function createAlgoliaProvider(options = {}) {
+  const client = options.appId && options.searchApiKey
+    ? algoliasearch(options.appId, options.searchApiKey)
+    : null;
+
+  return {
+    name: 'algolia',
+    configured: Boolean(client),
+    initIndex: indexName => (client ? client.initIndex(indexName) : createUnconfiguredIndex())
+  };
+}
+
+// Fixtures: an array of products shared by every index, or an object keyed
+// by index name ({ "shopify_products": [...], "shopify_products_en": [...] })
+function readFixtures(fixturesPath) {
+  try {
+    return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read search fixtures ${fixturesPath}: ${error.message}`);
+  }
+}
+
+function createLocalProvider(options = {}) {
+  const fixtures = options.products || readFixtures(options.fixturesPath);
+
+  return {
+    name: 'local',
+    configured: true,
+    initIndex(indexName) {
+      const products = Array.isArray(fixtures) ? fixtures : fixtures[indexName];
+      if (!Array.isArray(products)) {
+        throw new Error(`Search fixtures have no products for index "${indexName}"`);
+      }
+      return createLocalIndex(products);
+    }
+  };
+}
+
+// options: { provider: 'algolia' | 'local', appId, searchApiKey, fixturesPath }
+function createSearchProvider(options = {}) {
+  switch (options.provider || 'algolia') {
+    case 'algolia':
+      return createAlgoliaProvider(options);
+    case 'local':
+      return createLocalProvider(options);
+    default:
+      throw new Error(`Unknown search provider: ${options.provider}`);
+  }
+}
+
+module.exports = {
+  createSearchProvider,
+  createAlgoliaProvider,
+  createLocalProvider
+};
@@ -0,0 +1,125 @@
+// lib/shopify.js - Shopify webhook and app proxy verification, payload helpers
+const crypto = require('crypto');
+const { getProductTags } = require('./cache-tags');
+
+// Shopify signs the raw request body with the app's webhook secret and sends
+// the base64 HMAC-SHA256 in X-Shopify-Hmac-Sha256
+function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), 'base64');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// A product that should no longer be shown in any cached collection
+function isProductUnavailable(topic, product) {
+  if (topic === 'products/delete') return true;
+  if (product.status && product.status !== 'active') return true;
+  return product.published_at === null;
+}
+
+// Cache tags for a webhook product payload. products/delete only carries the id
+function getWebhookProductTags(product) {
+  const tags = [];
+  if (product.id) tags.push(`product-id:${product.id}`);
+  if (product.handle) tags.push(`product:${product.handle}`);
+  return tags;
+}
+
+// Products a webhook reported as sold, unpublished or deleted. Algolia's
+// Shopify sync can lag behind the webhook, so rebuilt entries would pick the
+// product up again; searches drop these hits until a later update brings the
+// product back or ttlMs passes. Oldest are evicted past maxProducts
+function createUnavailableProducts(options = {}) {
+  const ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+  const maxProducts = options.maxProducts || 10000;
+
+  // product tag (product:<handle>, product-id:<id>) -> expiresAt, oldest first
+  const products = new Map();
+
+  function isListed(tag, now) {
+    const expiresAt = products.get(tag);
+    if (expiresAt === undefined) return false;
+    if (expiresAt > now) return true;
+    products.delete(tag);
+    return false;
+  }
+
+  return {
+    add(product, now = Date.now()) {
+      getProductTags([product]).forEach(function(tag) {
+        products.delete(tag);
+        products.set(tag, now + ttlMs);
+      });
+      while (products.size > maxProducts) {
+        products.delete(products.keys().next().value);
+      }
+    },
+
+    remove(product) {
+      getProductTags([product]).forEach(tag => products.delete(tag));
+    },
+
+    // -> hits without the unavailable products (the same array when none are listed)
+    filterHits(hits, now = Date.now()) {
+      if (products.size === 0) return hits;
+      return hits.filter(hit => !getProductTags([hit]).some(tag => isListed(tag, now)));
+    },
+
+    get size() {
+      return products.size;
+    }
+  };
+}
+
+// App proxy requests carry shop, path_prefix, timestamp, logged_in_customer_id
+// and the storefront's own query params, signed with the app's shared secret:
+// every param except `signature` as key=value (repeated keys joined with ","),
+// sorted and concatenated without a separator, as hex HMAC-SHA256.
+// Takes the raw query string - the parsed req.query loses repeated keys
+function verifyAppProxySignature(queryString, secret) {
+  if (!secret) return false;
+
+  const params = new URLSearchParams(queryString || '');
+  const signature = params.get('signature');
+  if (!signature) return false;
+
+  const values = new Map();
+  params.forEach(function(value, key) {
+    if (key === 'signature') return;
+    if (!values.has(key)) values.set(key, []);
+    values.get(key).push(value);
+  });
+
+  const message = Array.from(values, ([key, list]) => `${key}=${list.join(',')}`).sort().join('');
+  const expected = crypto.createHmac('sha256', secret).update(message).digest();
+  const received = Buffer.from(signature, 'hex');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Shopify stamps each proxied request; an old one is a replayed URL
+function isAppProxyTimestampFresh(timestamp, maxAgeSec, now = Date.now()) {
+  if (!maxAgeSec) return true;
+  const seconds = Number(timestamp);
+  return Number.isFinite(seconds) && Math.abs(now / 1000 - seconds) <= maxAgeSec;
+}
+
+// application/liquid responses are rendered by the theme, so anything in our
+// HTML that looks like Liquid ({{ or {%) would be evaluated. Emitting the
+// opening brace as a Liquid string keeps the output byte-for-byte the same
+function escapeLiquid(html) {
+  return html.replace(/\{(?=[{%])/g, "{{ '{' }}");
+}
+
+module.exports = {
+  verifyWebhookHmac,
+  verifyAppProxySignature,
+  isAppProxyTimestampFresh,
+  escapeLiquid,
+  isProductUnavailable,
+  getWebhookProductTags,
+  createUnavailableProducts
+};
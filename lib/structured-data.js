@@ -0,0 +1,131 @@
+// lib/structured-data.js - Schema.org JSON-LD for pre-generated collections
+
+function getProductUrl(product, baseUrl) {
+  return `${baseUrl || ''}/products/${product.handle}`;
+}
+
+// Where the painting was made, from meta.location.details
+function buildPlace(details) {
+  if (!details) return null;
+
+  const hasCoordinates = details.latitude !== undefined && details.latitude !== null &&
+    details.longitude !== undefined && details.longitude !== null;
+  const latitude = Number(details.latitude);
+  const longitude = Number(details.longitude);
+  const hasGeo = hasCoordinates && Number.isFinite(latitude) && Number.isFinite(longitude);
+
+  if (!hasGeo && !details.formatted_address) return null;
+
+  const place = { '@type': 'Place' };
+  if (details.name || details.formatted_address) {
+    place.name = details.name || details.formatted_address;
+  }
+  if (details.formatted_address) {
+    place.address = details.formatted_address;
+  }
+  if (hasGeo) {
+    place.geo = { '@type': 'GeoCoordinates', latitude, longitude };
+  }
+  return place;
+}
+
+function buildArtwork(product, options) {
+  const artwork = {
+    '@type': ['Product', 'VisualArtwork'],
+    name: product.title,
+    url: getProductUrl(product, options.baseUrl)
+  };
+
+  if (product.id) {
+    artwork.productID = String(product.id);
+  }
+
+  const image = product.product_image || product.image;
+  if (image) {
+    artwork.image = image;
+  }
+
+  if (product.vendor) {
+    artwork.brand = { '@type': 'Brand', name: product.vendor };
+    artwork.artist = { '@type': 'Person', name: product.vendor };
+  }
+
+  const price = Number(product.variants_min_price);
+  if (price > 0) {
+    artwork.offers = {
+      '@type': 'Offer',
+      price: price.toFixed(2),
+      priceCurrency: options.currency,
+      availability: 'https://schema.org/InStock',
+      url: artwork.url
+    };
+  }
+
+  const place = buildPlace(product.meta?.location?.details);
+  if (place) {
+    artwork.locationCreated = place;
+  }
+
+  return artwork;
+}
+
+// CollectionPage for the city landing page, wrapping an ItemList of artworks
+// and a GeoCircle describing the search area
+function buildCollectionStructuredData(products, collectionData, options = {}) {
+  const { cityName, lat, lng, radiusKm, collectionHandle } = collectionData;
+  const currency = options.currency || collectionData.currency;
+  const baseUrl = options.baseUrl || '';
+
+  const page = {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: cityName,
+    spatialCoverage: {
+      '@type': 'Place',
+      name: cityName,
+      geo: {
+        '@type': 'GeoCircle',
+        geoMidpoint: {
+          '@type': 'GeoCoordinates',
+          latitude: Number(lat),
+          longitude: Number(lng)
+        },
+        geoRadius: Math.round(Number(radiusKm) * 1000)
+      }
+    },
+    mainEntity: {
+      '@type': 'ItemList',
+      numberOfItems: products.length,
+      itemListElement: products.map((product, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        item: buildArtwork(product, { baseUrl, currency })
+      }))
+    }
+  };
+
+  if (collectionHandle) {
+    page.url = `${baseUrl}/collections/${collectionHandle}`;
+  }
+
+  if (collectionData.locale) {
+    page.inLanguage = collectionData.locale;
+  }
+
+  return page;
+}
+
+// <script type="application/ld+json"> with `<` escaped so product titles can
+// never close the script element
+function renderJsonLd(data) {
+  const json = JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026');
+  return `<script type="application/ld+json">${json}</script>`;
+}
+
+module.exports = {
+  buildCollectionStructuredData,
+  renderJsonLd
+};
@@ -0,0 +1,193 @@
+// lib/templates.js - Minimal auto-escaping HTML templates for SSR output
+const fs = require('fs');
+const path = require('path');
+
+// Syntax:
+//   {{ path.to.value }}            escaped value (the default - always safe in text and attributes)
+//   {{{ path.to.value }}}          raw value, only for HTML the server already rendered
+//   {{ t "message.key" }}          translated message, escaped
+//   {{#if path}} ... {{else}} ... {{/if}}
+const TOKEN_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if\s+[\w.]+|else|\/if|t\s+["'][^"']+["']|[\w.]+)\s*\}\}/g;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(context, keyPath) {
+  return keyPath.split('.').reduce((value, key) => {
+    return value === undefined || value === null ? undefined : value[key];
+  }, context);
+}
+
+// Parse into a tree of text / value / raw / translate / if nodes
+function compileTemplate(source, name = 'template') {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.elseChildren : current.children;
+
+    if (match.index > lastIndex) {
+      target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TOKEN_PATTERN.lastIndex;
+
+    if (match[1]) {
+      target.push({ type: 'raw', path: match[1] });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith('#if')) {
+      const node = { type: 'if', path: tag.slice(3).trim(), children: [], elseChildren: [], inElse: false };
+      target.push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (stack.length === 1) throw new Error(`${name}: {{else}} without {{#if}}`);
+      current.inElse = true;
+    } else if (tag === '/if') {
+      if (stack.length === 1) throw new Error(`${name}: {{/if}} without {{#if}}`);
+      stack.pop();
+    } else if (tag.startsWith('t ')) {
+      target.push({ type: 'translate', key: tag.slice(2).trim().slice(1, -1) });
+    } else {
+      target.push({ type: 'value', path: tag });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`${name}: unclosed {{#if}}`);
+  }
+
+  const current = stack[0];
+  if (lastIndex < source.length) {
+    current.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+function renderNodes(nodes, context) {
+  return nodes.map(function(node) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'value': {
+        const value = lookup(context, node.path);
+        return value === undefined || value === null ? '' : escapeHtml(value);
+      }
+      case 'raw': {
+        const value = lookup(context, node.path);
+        return value === undefined || value === null ? '' : String(value);
+      }
+      case 'translate':
+        return escapeHtml(context.t ? context.t(node.key) : node.key);
+      case 'if':
+        return lookup(context, node.path)
+          ? renderNodes(node.children, context)
+          : renderNodes(node.elseChildren, context);
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+// Loads *.html templates and feature-cards.json from a directory. Files are
+// re-read when their mtime changes, so theme tweaks on a mounted templates
+// directory apply without a deploy
+function createTemplateRegistry(dir) {
+  const compiled = new Map();
+  let featureCards = { mtimeMs: null, rules: [] };
+
+  function getTemplate(name) {
+    const filePath = path.join(dir, `${name}.html`);
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = compiled.get(name);
+
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.nodes;
+    }
+
+    const nodes = compileTemplate(fs.readFileSync(filePath, 'utf8'), name);
+    compiled.set(name, { mtimeMs, nodes });
+    return nodes;
+  }
+
+  function getFeatureCardRules() {
+    const filePath = path.join(dir, 'feature-cards.json');
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      return [];
+    }
+
+    if (featureCards.mtimeMs !== mtimeMs) {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      featureCards = { mtimeMs, rules: raw.cards || [] };
+    }
+    return featureCards.rules;
+  }
+
+  return {
+    dir,
+
+    render(name, context) {
+      return renderNodes(getTemplate(name), context);
+    },
+
+    getFeatureCardRules,
+
+    list() {
+      return fs.readdirSync(dir).filter(file => file.endsWith('.html')).map(file => path.basename(file, '.html'));
+    }
+  };
+}
+
+// Feature card insertion rules:
+//   position     - product index the card is inserted before (default 2)
+//   repeatEvery  - insert again every N products after position
+//   collections  - only for these collection handles
+//   cities       - only for these city names
+function ruleAppliesToCollection(rule, collectionData) {
+  if (rule.enabled === false) return false;
+
+  if (Array.isArray(rule.collections) && rule.collections.length > 0) {
+    if (!rule.collections.includes(collectionData.collectionHandle)) return false;
+  }
+
+  if (Array.isArray(rule.cities) && rule.cities.length > 0) {
+    const city = String(collectionData.cityName || '').toLowerCase();
+    if (!rule.cities.some(name => String(name).toLowerCase() === city)) return false;
+  }
+
+  return true;
+}
+
+function ruleMatchesIndex(rule, index) {
+  const position = rule.position !== undefined ? rule.position : 2;
+  if (index === position) return true;
+  return rule.repeatEvery > 0 && index > position && (index - position) % rule.repeatEvery === 0;
+}
+
+// Rules applying before product `index`, in manifest order
+function getFeatureCardsAt(rules, index, collectionData) {
+  return rules.filter(rule => ruleAppliesToCollection(rule, collectionData) && ruleMatchesIndex(rule, index));
+}
+
+module.exports = {
+  escapeHtml,
+  compileTemplate,
+  renderNodes,
+  createTemplateRegistry,
+  getFeatureCardsAt
+};
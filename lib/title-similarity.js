@@ -0,0 +1,173 @@
+// lib/title-similarity.js - Accent-aware fuzzy matching for artwork titles
+//
+// Titles are folded ("Kölner Dom" and "Koelner Dom" both become "koelner dom"),
+// stripped of punctuation, stopwords and a trailing artist name, then compared
+// as sets of character trigrams with Jaccard similarity (0..1).
+// createTitleIndex keeps an inverted trigram index so each lookup only scores
+// titles that share at least one trigram instead of every accepted title.
+
+const DEFAULT_THRESHOLD = 0.8;
+
+const FOLDED_CHARACTERS = {
+  ä: 'ae',
+  ö: 'oe',
+  ü: 'ue',
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  å: 'a'
+};
+
+const STOPWORDS = new Set([
+  // German
+  'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einer', 'eines', 'einem', 'einen',
+  'und', 'oder', 'im', 'in', 'am', 'an', 'auf', 'bei', 'mit', 'von', 'vom', 'zu', 'zum', 'zur', 'aus', 'nach',
+  // English
+  'the', 'a', 'an', 'and', 'or', 'of', 'in', 'on', 'at', 'with', 'by', 'to', 'from', 'for'
+]);
+
+// "Kölner Dom - Anna Schmidt", "Kölner Dom by Anna Schmidt", "Kölner Dom (von Anna Schmidt)"
+const ARTIST_SEPARATOR_PATTERN = /\s*(?:[-–—|,(]\s*)?(?:\b(?:by|von)\s+)?$/;
+
+function foldCharacters(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[äöüßæœøå]/g, character => FOLDED_CHARACTERS[character])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+// Removes the artist name when the title ends with it, together with the
+// separator in front of it
+function stripArtistSuffix(folded, artist) {
+  const foldedArtist = foldCharacters(artist).replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!foldedArtist) return folded;
+
+  const words = folded.replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!words.endsWith(foldedArtist) || words === foldedArtist) return folded;
+
+  // Find where the artist starts in the original folded string (punctuation intact)
+  const artistWords = foldedArtist.split(' ');
+  const pattern = new RegExp(`${artistWords.join('[^a-z0-9]+')}[^a-z0-9]*$`);
+  const match = folded.match(pattern);
+  if (!match) return folded;
+
+  return folded.slice(0, match.index).replace(ARTIST_SEPARATOR_PATTERN, '');
+}
+
+// Folded, punctuation-free words without stopwords. Falls back to all words
+// when a title consists only of stopwords
+function getTitleTokens(title, options = {}) {
+  const folded = stripArtistSuffix(foldCharacters(title), options.artist);
+  const words = folded.replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  const meaningful = words.filter(word => !STOPWORDS.has(word));
+  return meaningful.length > 0 ? meaningful : words;
+}
+
+function normalizeTitle(title, options = {}) {
+  return getTitleTokens(title, options).join(' ');
+}
+
+// Trigrams per word, padded so short words and word boundaries still count
+function getTrigrams(title, options = {}) {
+  const trigrams = new Set();
+
+  getTitleTokens(title, options).forEach(function(word) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+  });
+
+  return trigrams;
+}
+
+function jaccard(setA, setB, shared) {
+  const union = setA.size + setB.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+function getTitleSimilarity(title1, title2, options = {}) {
+  const trigrams1 = getTrigrams(title1, { artist: options.artist1 });
+  const trigrams2 = getTrigrams(title2, { artist: options.artist2 });
+  if (trigrams1.size === 0 || trigrams2.size === 0) return 0;
+
+  let shared = 0;
+  trigrams1.forEach(trigram => {
+    if (trigrams2.has(trigram)) shared++;
+  });
+
+  return jaccard(trigrams1, trigrams2, shared);
+}
+
+function areTitlesSimilar(title1, title2, threshold = DEFAULT_THRESHOLD, options = {}) {
+  if (!title1 || !title2) return false;
+  return getTitleSimilarity(title1, title2, options) >= threshold;
+}
+
+// Inverted trigram index over accepted titles.
+//   add(title, value, { artist })       - index a title
+//   findSimilar(title, { artist })      - best match at or above the threshold,
+//                                         as { value, score }, or null
+function createTitleIndex(options = {}) {
+  const threshold = options.threshold || DEFAULT_THRESHOLD;
+  const entries = [];
+  const postings = new Map();
+
+  return {
+    threshold,
+
+    add(title, value, addOptions = {}) {
+      const trigrams = getTrigrams(title, addOptions);
+      if (trigrams.size === 0) return;
+
+      const entryIndex = entries.length;
+      entries.push({ value, size: trigrams.size });
+
+      trigrams.forEach(function(trigram) {
+        if (!postings.has(trigram)) {
+          postings.set(trigram, []);
+        }
+        postings.get(trigram).push(entryIndex);
+      });
+    },
+
+    findSimilar(title, findOptions = {}) {
+      const trigrams = getTrigrams(title, findOptions);
+      if (trigrams.size === 0) return null;
+
+      // Count shared trigrams per candidate; titles sharing none are never scored
+      const sharedCounts = new Map();
+      trigrams.forEach(function(trigram) {
+        (postings.get(trigram) || []).forEach(function(entryIndex) {
+          sharedCounts.set(entryIndex, (sharedCounts.get(entryIndex) || 0) + 1);
+        });
+      });
+
+      let best = null;
+      sharedCounts.forEach(function(shared, entryIndex) {
+        const entry = entries[entryIndex];
+        const score = jaccard(trigrams, entry, shared);
+        if (score >= threshold && (!best || score > best.score)) {
+          best = { value: entry.value, score: Number(score.toFixed(3)) };
+        }
+      });
+
+      return best;
+    },
+
+    size() {
+      return entries.length;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeTitle,
+  getTitleTokens,
+  getTitleSimilarity,
+  areTitlesSimilar,
+  createTitleIndex
+};
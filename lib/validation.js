@@ -0,0 +1,157 @@
+// lib/validation.js - Declarative request schemas and the shared error response format
+//
+// A schema maps field names to rules:
+//   type        'number' | 'integer' | 'boolean' | 'string' | 'array' | 'object'
+//   required    true, or fn(value) deciding from the other (already parsed) fields
+//   default     used when the field is missing
+//   min / max   numeric range (for strings and arrays: length)
+//   enum        allowed values
+//   items       rule for array items
+//   parse       fn(value) -> value for domain checks; throw to reject
+// Numbers and booleans are coerced from strings so the same schema works for
+// JSON bodies and query strings. Unknown fields are ignored.
+
+// Every error response: { error: { code, message, details?, requestId? } }, plus
+// any endpoint-specific top-level fields (e.g. degraded)
+function sendError(res, status, code, message, options = {}) {
+  const body = { error: { code, message } };
+  if (options.details) {
+    body.error.details = options.details;
+  }
+  if (res.req && res.req.id) {
+    body.error.requestId = res.req.id;
+  }
+  // Picked up by the request metrics (errors by code)
+  res.locals.errorCode = code;
+  return res.status(status).json({ ...body, ...options.extra });
+}
+
+function coerce(rule, value) {
+  if ((rule.type === 'number' || rule.type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function describeRange(rule, unit) {
+  if (rule.min !== undefined && rule.max !== undefined) return `between ${rule.min} and ${rule.max}${unit}`;
+  if (rule.min !== undefined) return `at least ${rule.min}${unit}`;
+  return `at most ${rule.max}${unit}`;
+}
+
+function outOfRange(rule, size) {
+  return (rule.min !== undefined && size < rule.min) || (rule.max !== undefined && size > rule.max);
+}
+
+// Returns an error message for one value, or null when it's valid
+function checkValue(rule, value) {
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+      if (outOfRange(rule, value)) return `must be ${describeRange(rule, '')}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be a boolean';
+      break;
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (outOfRange(rule, value.length)) return `must be ${describeRange(rule, ' characters')}`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      if (outOfRange(rule, value.length)) return `must have ${describeRange(rule, ' items')}`;
+      break;
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+      break;
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Returns { value, errors } where errors is [{ field, message }]
+function validate(schema, input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  Object.keys(schema).forEach(function(field) {
+    const rule = schema[field];
+    const raw = source[field];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.default !== undefined) value[field] = rule.default;
+      return;
+    }
+
+    const coerced = coerce(rule, raw);
+    let message = checkValue(rule, coerced);
+
+    if (!message && rule.type === 'array' && rule.items) {
+      const badIndex = coerced.findIndex(item => checkValue(rule.items, coerce(rule.items, item)) !== null);
+      if (badIndex !== -1) {
+        message = `item ${badIndex} ${checkValue(rule.items, coerce(rule.items, coerced[badIndex]))}`;
+      }
+    }
+
+    if (message) {
+      errors.push({ field, message });
+      return;
+    }
+
+    if (rule.parse) {
+      try {
+        value[field] = rule.parse(coerced);
+      } catch (error) {
+        errors.push({ field, message: error.message });
+      }
+      return;
+    }
+
+    value[field] = rule.type === 'array' && rule.items
+      ? coerced.map(item => coerce(rule.items, item))
+      : coerced;
+  });
+
+  // Required checks run last so they can depend on other fields
+  Object.keys(schema).forEach(function(field) {
+    const rule = schema[field];
+    const required = typeof rule.required === 'function' ? rule.required(value) : rule.required;
+    if (required && value[field] === undefined && !errors.some(error => error.field === field)) {
+      errors.push({ field, message: 'is required' });
+    }
+  });
+
+  return { value, errors };
+}
+
+// Express middleware: validates req[source] and stores the result on
+// req.validated, or answers 400 with field-level details
+function validateRequest(schema, source = 'body') {
+  return function(req, res, next) {
+    const { value, errors } = validate(schema, req[source]);
+    if (errors.length > 0) {
+      return sendError(res, 400, 'validation_failed', 'Request validation failed', { details: errors });
+    }
+    req.validated = value;
+    next();
+  };
+}
+
+module.exports = {
+  sendError,
+  validate,
+  validateRequest
+};
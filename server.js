@@ -1,682 +1,1767 @@
 // server.js - Express server for Render.com with SSR Pre-rendering
+const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const algoliasearch = require('algoliasearch');
+const { createCacheStore } = require('./lib/cache-store');
+const { createCacheLoader } = require('./lib/cache-loader');
+const { createResilientIndex, createFailingIndex } = require('./lib/search-client');
+const { createSearchProvider } = require('./lib/search-provider');
+const {
+  getProductTags,
+  getCityTag,
+  getCollectionTag,
+  createCacheInvalidator
+} = require('./lib/cache-tags');
+const {
+  verifyWebhookHmac,
+  verifyAppProxySignature,
+  isAppProxyTimestampFresh,
+  escapeLiquid,
+  isProductUnavailable,
+  getWebhookProductTags,
+  createUnavailableProducts
+} = require('./lib/shopify');
+const { createPrewarmer, createCityManifestReader } = require('./lib/prewarm');
+const { createBatchJobs } = require('./lib/batch-jobs');
+const {
+  getContentHash,
+  getStrongEtag,
+  negotiateEncoding,
+  getCacheControl,
+  createCompressionCache
+} = require('./lib/http-cache');
+const { bucketCoordinates } = require('./lib/geo-bucket');
+const { translate, isSupportedLocale, isSupportedCurrency } = require('./lib/i18n');
+const { createTemplateRegistry, getFeatureCardsAt } = require('./lib/templates');
+const { getResponsiveImage, getPreloadHint, getPreloadLinkHeader } = require('./lib/images');
+const { buildCollectionStructuredData, renderJsonLd } = require('./lib/structured-data');
+const { resolveDedupConfig, runDedupPipeline } = require('./lib/dedup');
+const { annotateDistances, searchWithRadiusExpansion } = require('./lib/distance');
+const { MAX_ZOOM, getTileId, getTileBounds, getTileRange, listTiles, clusterTile } = require('./lib/map-tiles');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { MAX_CURSOR_LENGTH, getSearchFingerprint, encodeCursor, decodeCursor } = require('./lib/cursor');
+const { isValidHandle, parseFilters, compileFilters, getFiltersKeyPart } = require('./lib/filters');
+const { sendError, validate, validateRequest } = require('./lib/validation');
+const { loadConfig, getPublicConfig } = require('./lib/config');
+const { createAdminAuth, createOriginMatcher } = require('./lib/auth');
+const { createRateLimiter, rateLimit } = require('./lib/rate-limit');
+const { logger, runWithContext } = require('./lib/logger');
+const { createRegistry } = require('./lib/metrics');
+
+// Configuration - defaults, optional config file and environment, validated
+// up front so a bad deploy fails at boot rather than on the first request
+let config;
+try {
+  config = loadConfig({ rootDir: __dirname });
+} catch (error) {
+  logger.error('Invalid configuration', { error: error.message });
+  process.exit(1);
+}
+
+logger.setLevel(config.log.level);
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+// req.ip comes from X-Forwarded-For, trusting this many proxy hops
+app.set('trust proxy', config.security.trustProxy);
+
+// Prometheus metrics, scraped from GET /metrics
+const metrics = createRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request duration', ['route']);
+const errorResponses = metrics.counter('app_errors_total', 'Error responses by route and error code', ['route', 'code']);
+
+// Request IDs - reuse the caller's X-Request-Id (e.g. from a proxy) when it
+// looks sane, echo it on the response and bind it to every log line
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use(function(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', function() {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    // Route patterns, not raw paths, so label cardinality stays bounded
+    const route = req.route ? req.route.path : 'unmatched';
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ route }, durationMs / 1000);
+    if (res.locals.errorCode) {
+      errorResponses.inc({ route, code: res.locals.errorCode });
+    }
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    logger[level]('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs),
+      ...(res.locals.errorCode && { errorCode: res.locals.errorCode })
+    });
+  });
 
-// In-memory cache that persists (unlike Vercel serverless)
-const cache = new Map();
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+  runWithContext({ requestId: req.id }, next);
+});
 
-// Import your existing deduplication functions
-function getLocationKey(product) {
-  const meta = product.meta || {};
-  const locationMeta = meta.location || {};
-  const details = locationMeta.details || {};
-  
-  if (details.latitude && details.longitude) {
-    return `${details.latitude.toFixed(6)},${details.longitude.toFixed(6)}`;
-  }
-  
-  if (details.google_id) {
-    return `google_id:${details.google_id}`;
-  }
-  
-  if (details.formatted_address) {
-    return `address:${details.formatted_address}`;
-  }
-  
-  return `unique:${product.handle}`;
+// Middleware - CORS only for allowlisted storefront origins (CORS_ORIGINS);
+// requests without an Origin header (server-to-server, curl) aren't affected
+const isAllowedOrigin = createOriginMatcher(config.security.corsOrigins);
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin))
+}));
+// Keep the raw body around for Shopify webhook HMAC verification
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
 }
 
-function getProductKey(product) {
-  const handle = product.handle || '';
-  let baseHandle = handle.split('-variant-')[0].split('-v-')[0];
-  baseHandle = baseHandle.replace(/-\d+x\d+/, '').replace(/-original-painting/, '').replace(/-print/, '');
-  return baseHandle;
+// Product payloads with many variants outgrow the 100kb default, and Shopify
+// retries webhooks that fail with 413
+app.use('/webhooks/shopify', express.json({ limit: config.shopify.webhookMaxBodyBytes, verify: keepRawBody }));
+app.use(express.json({ verify: keepRawBody }));
+
+// Admin routes, /cache-stats, forceRegenerate and debug need an admin token
+const adminAuth = createAdminAuth(config.security.adminTokens);
+
+// Token buckets per client IP, one set per endpoint group. GET ssr.html gets
+// its own, roomier set: it is fetched by CDNs whose egress IPs are shared.
+// App proxy requests all come from Shopify, so they are bucketed by shop
+const rateLimiters = {
+  nearby: createRateLimiter({ ...config.rateLimit.nearby, maxBuckets: config.rateLimit.maxClients }),
+  collection: createRateLimiter({ ...config.rateLimit.collection, maxBuckets: config.rateLimit.maxClients }),
+  ssr: createRateLimiter({ ...config.rateLimit.ssr, maxBuckets: config.rateLimit.maxClients }),
+  proxy: createRateLimiter({ ...config.rateLimit.proxy, maxBuckets: config.rateLimit.maxClients }),
+  admin: createRateLimiter({ ...config.rateLimit.admin, maxBuckets: config.rateLimit.maxClients }),
+  map: createRateLimiter({ ...config.rateLimit.map, maxBuckets: config.rateLimit.maxClients })
+};
+
+function limitRate(name, options) {
+  return config.rateLimit.enabled ? rateLimit(rateLimiters[name], options) : (req, res, next) => next();
 }
 
-function areTitlesSimilar(title1, title2, threshold = 0.8) {
-  if (!title1 || !title2) return false;
-  
-  const t1 = title1.toLowerCase().trim();
-  const t2 = title2.toLowerCase().trim();
-  
-  if (t1 === t2) return true;
-  
-  const words1 = t1.split(/\s+/);
-  const words2 = t2.split(/\s+/);
-  let commonWords = 0;
-  
-  words1.forEach(word => {
-    if (word.length > 2 && words2.includes(word)) {
-      commonWords++;
-    }
-  });
-  
-  const similarity = (commonWords * 2) / (words1.length + words2.length);
-  return similarity >= threshold;
-}
+setInterval(() => {
+  Object.values(rateLimiters).forEach(limiter => limiter.prune());
+}, 60 * 1000).unref();
+
+// Rate limit before auth so token guessing is throttled too
+app.use('/admin', limitRate('admin'), adminAuth.requireAdmin);
+
+// Cache store - memory (default), file snapshot or external key-value store.
+// LRU eviction is bounded by entry count and a byte budget, since SSR HTML
+// entries are much bigger than nearby-search JSON
+const cache = createCacheStore({
+  backend: config.cache.backend,
+  filePath: config.cache.filePath,
+  kvUrl: config.cache.kvUrl,
+  kvPrefix: config.cache.kvPrefix,
+  maxEntries: config.cache.maxEntries,
+  maxBytes: config.cache.maxBytes,
+  // Map tiles get a budget of their own so panning the map can't evict warmed collections
+  partitions: { 'map-tile:': { maxBytes: config.map.cacheMaxBytes } },
+  sweepIntervalMs: config.cache.sweepIntervalMs
+});
 
-// Original deduplication function (keep for backward compatibility)
-function deduplicateForCollection(hits, maxPerLocation = 2, targetProducts = 24) {
-  // Step 1: Remove product duplicates
-  const seenProducts = {};
-  const uniqueProducts = [];
-  
-  hits.forEach(product => {
-    const productKey = getProductKey(product);
-    const title = product.title || '';
-    
-    if (seenProducts[productKey]) {
-      return;
-    }
-    
-    const isSimilarToExisting = uniqueProducts.some(existingProduct => 
-      areTitlesSimilar(title, existingProduct.title, 0.8)
-    );
-    
-    if (isSimilarToExisting) {
-      return;
-    }
-    
-    seenProducts[productKey] = true;
-    uniqueProducts.push(product);
-  });
-  
-  // Step 2: Apply location-based distribution  
-  const locationCounts = {};
-  const result = [];
-  const productsByLocation = {};
-  
-  uniqueProducts.forEach(product => {
-    const locationKey = getLocationKey(product);
-    if (!productsByLocation[locationKey]) {
-      productsByLocation[locationKey] = [];
-    }
-    productsByLocation[locationKey].push(product);
-  });
-  
-  let locationKeys = Object.keys(productsByLocation);
-  let locationIndex = 0;
-  const maxIterations = uniqueProducts.length * 2;
-  let iterations = 0;
-  
-  while (result.length < targetProducts && iterations < maxIterations && locationKeys.length > 0) {
-    iterations++;
-    let foundProduct = false;
-    
-    for (let i = 0; i < locationKeys.length && result.length < targetProducts; i++) {
-      const currentLocationIndex = (locationIndex + i) % locationKeys.length;
-      const locationKey = locationKeys[currentLocationIndex];
-      const productsAtLocation = productsByLocation[locationKey];
-      
-      if (!productsAtLocation || productsAtLocation.length === 0) {
-        continue;
-      }
-      
-      const currentCount = locationCounts[locationKey] || 0;
-      if (currentCount >= maxPerLocation) {
-        continue;
-      }
-      
-      let canPlace = true;
-      if (result.length > 0) {
-        const lastProduct = result[result.length - 1];
-        const lastLocationKey = getLocationKey(lastProduct);
-        if (lastLocationKey === locationKey) {
-          canPlace = false;
-        }
-      }
-      
-      if (canPlace) {
-        const product = productsAtLocation.shift();
-        result.push(product);
-        locationCounts[locationKey] = currentCount + 1;
-        foundProduct = true;
-        
-        if (productsAtLocation.length === 0) {
-          delete productsByLocation[locationKey];
-          locationKeys = Object.keys(productsByLocation);
-        }
-        
-        break;
-      }
-    }
-    
-    if (!foundProduct) {
-      break;
-    }
-    
-    locationIndex = (locationIndex + 1) % Math.max(1, locationKeys.length);
-  }
-  
-  return result;
-}
+// TTL per entry type
+const CACHE_TTLS = config.cache.ttls;
 
-// Server-side location photo deduplication with featured priority
-function deduplicateByLocationPhotoServer(hits, maxResults, maxPerPhoto) {
-  console.log('🎯 Server-side location photo deduplication:', {
-    inputHits: hits.length,
-    maxResults: maxResults,
-    maxPerPhoto: maxPerPhoto
-  });
+// How long past its TTL an entry may still be served stale while it refreshes
+const CACHE_STALE_TTLS = config.cache.staleTtls;
 
-  // Helper functions
-  function getLocationPhoto(product) {
-    return product.meta?.location?.details?.location_photo || null;
-  }
-  
-  function getBaseHandle(product) {
-    const handle = product.handle || '';
-    return handle
-      .split('-variant-')[0]
-      .split('-v-')[0]
-      .replace(/-\d+x\d+$/, '')
-      .replace(/-original-painting$/, '')
-      .replace(/-print$/, '')
-      .replace(/-canvas$/, '')
-      .replace(/-paper$/, '');
-  }
+const cacheRequests = metrics.counter(
+  'cache_requests_total',
+  'Cache loads by endpoint and status (hit, stale, miss, coalesced, fallback, error)',
+  ['endpoint', 'status']
+);
 
-  function isFeatured(product) {
-    return product.meta?.featured === 'yes';
-  }
+const cacheLoader = createCacheLoader(cache, {
+  ttls: CACHE_TTLS,
+  staleTtls: CACHE_STALE_TTLS,
+  onLoad: (endpoint, status) => cacheRequests.inc({ endpoint, status })
+});
 
-  // Step 1: Remove product variants
-  const seenBaseHandles = {};
-  const uniqueProducts = [];
-  
-  hits.forEach(function(product) {
-    const baseHandle = getBaseHandle(product);
-    if (!seenBaseHandles[baseHandle]) {
-      seenBaseHandles[baseHandle] = true;
-      uniqueProducts.push(product);
-    }
+// Key-value stores don't track their size (null) - no sample then
+metrics.gauge('cache_entries', 'Entries in the cache store', async () => {
+  const size = await cache.size();
+  return size === null ? [] : size;
+});
+
+const cacheInvalidator = createCacheInvalidator(cache);
+
+// Optional coordinate bucketing for cache keys: off | geohash | grid.
+// Precision is geohash length or grid decimals (defaults 6 / 2, both ~1km)
+const COORDINATE_BUCKETING = {
+  mode: config.cache.coordinateBucketing.mode,
+  precision: config.cache.coordinateBucketing.precision || undefined
+};
+
+// Progressive radius widening for sparse areas: when fewer than minResults
+// products survive dedup, the radius is multiplied by `factor` (30 -> 60 -> 120)
+// up to maxRadiusKm, in at most maxSteps searches. minResults 0 disables it;
+// requests can override minResults and maxRadiusKm
+const RADIUS_EXPANSION = config.radiusExpansion;
+
+// Facet used by `filters.medium` - must be in the index's attributesForFaceting
+const FILTER_MEDIUM = config.filters.medium;
+
+// Nearby pages keep reading Algolia pages (of hitsPerPage * 3 hits) until the
+// deduplicated page is full, up to this many searches per request
+const NEARBY_MAX_SEARCHES_PER_PAGE = config.search.nearbyMaxSearchesPerPage;
+
+// Give the Shopify -> Algolia sync time to catch up before regenerating
+const WEBHOOK_REGENERATE_DELAY_MS = config.shopify.webhookRegenerateDelayMs;
+
+// Sold or unpublished products stay out of every search result until Shopify
+// reports them available again, however late the Algolia sync is
+const unavailableProducts = createUnavailableProducts({ ttlMs: config.shopify.unavailableTtlMs });
+
+// Search clients - one per named index (e.g. per market or language), each
+// wrapped with timeouts, retries and its own circuit breaker.
+// SEARCH_PROVIDER=local answers from fixtures instead of Algolia, and
+// SEARCH_SIMULATE_FAILURE=error|timeout|flaky swaps in a failing backend to
+// exercise the degraded paths
+const DEFAULT_INDEX = config.algolia.defaultIndex;
+
+let searchProvider;
+let searchBackends;
+try {
+  searchProvider = createSearchProvider({
+    provider: config.search.provider,
+    appId: config.algolia.appId,
+    searchApiKey: config.algolia.searchApiKey,
+    fixturesPath: config.search.fixturesPath
   });
+  searchBackends = Object.keys(config.algolia.indices).map(function(name) {
+    const backend = config.search.simulateFailure
+      ? createFailingIndex(config.search.simulateFailure)
+      : searchProvider.initIndex(config.algolia.indices[name]);
+    return [name, backend];
+  });
+} catch (error) {
+  logger.error('Search provider setup failed', { error: error.message });
+  process.exit(1);
+}
 
-  console.log('📦 After variant deduplication:', uniqueProducts.length);
+if (!searchProvider.configured && !config.search.simulateFailure) {
+  logger.warn('ALGOLIA_APP_ID / ALGOLIA_SEARCH_API_KEY not set - searches will fail');
+}
 
-  // Step 2: Separate featured and regular products
-  const featuredProducts = uniqueProducts.filter(isFeatured);
-  const regularProducts = uniqueProducts.filter(p => !isFeatured(p));
+const searchIndices = new Map(searchBackends.map(function([name, backend]) {
+  return [name, createResilientIndex(backend, {
+    timeoutMs: config.search.timeoutMs,
+    retries: config.search.retries,
+    retryBaseMs: config.search.retryBaseMs,
+    failureThreshold: config.search.failureThreshold,
+    resetTimeoutMs: config.search.resetTimeoutMs
+  })];
+}));
+
+function getSearchIndex(name) {
+  return searchIndices.get(name || DEFAULT_INDEX);
+}
 
-  console.log('⭐ Featured vs Regular split:', {
-    featured: featuredProducts.length,
-    regular: regularProducts.length
-  });
+// Circuit state / stats per named index
+function mapSearchIndices(fn) {
+  return Object.fromEntries(Array.from(searchIndices, ([name, index]) => [name, fn(index)]));
+}
 
-  // Step 3: Group by location photo
-  function groupByLocationPhoto(products) {
-    const productsByPhoto = {};
-    const productsWithoutPhoto = [];
-    
-    products.forEach(function(product) {
-      const locationPhoto = getLocationPhoto(product);
-      if (locationPhoto) {
-        if (!productsByPhoto[locationPhoto]) {
-          productsByPhoto[locationPhoto] = [];
-        }
-        productsByPhoto[locationPhoto].push(product);
-      } else {
-        productsWithoutPhoto.push(product);
-      }
-    });
-    
-    return { productsByPhoto, productsWithoutPhoto };
-  }
-
-  const featuredGroups = groupByLocationPhoto(featuredProducts);
-  const regularGroups = groupByLocationPhoto(regularProducts);
-
-  // Step 4: Create distribution queues
-  function createDistributionQueue(productsByPhoto, maxRounds) {
-    const distributionQueue = [];
-    const photoUUIDs = Object.keys(productsByPhoto);
-    
-    for (let round = 0; round < maxRounds; round++) {
-      photoUUIDs.forEach(function(uuid) {
-        if (productsByPhoto[uuid].length > round) {
-          distributionQueue.push({
-            uuid: uuid,
-            product: productsByPhoto[uuid][round],
-            round: round,
-            featured: isFeatured(productsByPhoto[uuid][round])
-          });
-        }
-      });
-    }
-    
-    return distributionQueue;
-  }
+const searchDuration = metrics.histogram('algolia_search_duration_seconds', 'Algolia search latency including retries', ['index', 'outcome']);
+const searchProcessingTime = metrics.histogram('algolia_processing_time_seconds', 'processingTimeMS reported by Algolia', ['index']);
+const searchErrors = metrics.counter('algolia_search_errors_total', 'Failed Algolia searches by reason', ['index', 'reason']);
 
-  const featuredQueue = createDistributionQueue(featuredGroups.productsByPhoto, maxPerPhoto);
-  const regularQueue = createDistributionQueue(regularGroups.productsByPhoto, maxPerPhoto);
+const CIRCUIT_STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+metrics.gauge('algolia_circuit_state', 'Search circuit per index (0 closed, 1 half-open, 2 open)', () => {
+  return Array.from(searchIndices, ([name, index]) => ({ labels: { index: name }, value: CIRCUIT_STATE_VALUES[index.state()] }));
+});
 
-  // Step 5: Distribute products (featured first)
-  const result = [];
-  const photoCounters = {};
+// Every Algolia search goes through here so latency and failures are measured per index
+async function searchAlgolia(indexName, searchParams) {
+  const index = indexName || DEFAULT_INDEX;
+  const startedAt = process.hrtime.bigint();
+  const elapsedSeconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
 
-  // Featured products first
-  while (result.length < maxResults && featuredQueue.length > 0) {
-    const nextItem = featuredQueue.shift();
-    const currentCount = photoCounters[nextItem.uuid] || 0;
-    
-    if (currentCount < maxPerPhoto) {
-      result.push(nextItem.product);
-      photoCounters[nextItem.uuid] = currentCount + 1;
-    }
-  }
+  try {
+    const response = await getSearchIndex(index).search('', searchParams);
+    searchDuration.observe({ index, outcome: 'success' }, elapsedSeconds());
+    searchProcessingTime.observe({ index }, response.processingTimeMS / 1000);
 
-  // Regular products fill remaining slots
-  while (result.length < maxResults && regularQueue.length > 0) {
-    const nextItem = regularQueue.shift();
-    const currentCount = photoCounters[nextItem.uuid] || 0;
-    
-    if (currentCount < maxPerPhoto) {
-      result.push(nextItem.product);
-      photoCounters[nextItem.uuid] = currentCount + 1;
-    }
+    const hits = unavailableProducts.filterHits(response.hits);
+    return hits === response.hits ? response : { ...response, hits };
+  } catch (error) {
+    searchDuration.observe({ index, outcome: 'error' }, elapsedSeconds());
+    searchErrors.inc({ index, reason: error.degradedReason || 'error' });
+    throw error;
   }
+}
 
-  // Add products without location photo
-  const remainingSlots = maxResults - result.length;
-  if (remainingSlots > 0) {
-    const allProductsWithoutPhoto = featuredGroups.productsWithoutPhoto.concat(regularGroups.productsWithoutPhoto);
-    const productsToAdd = allProductsWithoutPhoto.slice(0, remainingSlots);
-    result.push(...productsToAdd);
-  }
+// Deduplication - both endpoints run the same pipeline (lib/dedup.js) and only
+// differ in preset: nearby groups by location with an adjacency rule,
+// collections group by location photo with featured products first.
+// Requests can override individual rules via `dedup: { ... }`
+const dedupHits = metrics.counter('dedup_hits_total', 'Hits entering (input) and surviving (output) deduplication', ['preset', 'stage']);
 
-  console.log('✅ Server-side deduplication complete:', {
-    totalProducts: result.length,
-    featuredCount: result.filter(isFeatured).length,
-    regularCount: result.filter(p => !isFeatured(p)).length
+function deduplicateHits(hits, preset, overrides, options) {
+  const config = resolveDedupConfig(preset, overrides);
+  const result = runDedupPipeline(hits, config, options);
+
+  dedupHits.inc({ preset, stage: 'input' }, hits.length);
+  dedupHits.inc({ preset, stage: 'output' }, result.hits.length);
+  logger.debug('Deduplication', {
+    preset,
+    inputHits: hits.length,
+    outputHits: result.hits.length,
+    maxResults: options.maxResults
   });
 
-  return result;
+  return { ...result, config };
 }
 
-// Helper functions for SSR HTML generation
-function optimizeImageUrl(imageUrl) {
-  if (imageUrl && imageUrl.includes('cdn.shopify.com')) {
-    // Use _400x instead of _600x for better size match to display dimensions
-    return imageUrl.replace(/\.webp(\?.*)?$/i, '_600x.webp$1');
-  }
-  return imageUrl;
+// Debug payload for `debug: true` requests - which rule removed each dropped hit
+function getDedupDebugInfo(hits, dedupResult) {
+  return {
+    config: dedupResult.config,
+    inputHits: hits.length,
+    outputHits: dedupResult.hits.length,
+    dropped: dedupResult.dropped
+  };
 }
 
-function escapeHtml(text) {
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+// Cache key suffix for request-level dedup overrides (sorted, so key order doesn't matter)
+function getDedupKeyPart(overrides) {
+  const keys = Object.keys(overrides || {}).sort();
+  if (keys.length === 0) return '';
+  return ':dedup=' + keys.map(key => `${key}=${overrides[key]}`).join(',');
 }
 
-function formatPrice(price) {
-  return new Intl.NumberFormat('de-DE', {
+// Responsive image settings for SSR cards (Shopify CDN widths and `sizes`)
+const SSR_IMAGE_OPTIONS = {
+  widths: config.ssr.imageWidths || undefined,
+  sizes: config.ssr.imageSizes || undefined
+};
+
+// SSR templates (card, feature/promo cards, grid) and feature card insertion rules
+const templates = createTemplateRegistry(config.ssr.templatesDir);
+
+// SSR output defaults to the German storefront
+const DEFAULT_LOCALE = config.ssr.locale;
+const DEFAULT_CURRENCY = config.ssr.currency;
+const DEFAULT_PRINT_PRICE = config.ssr.printPrice;
+const DEFAULT_ORIGINAL_PRICE = config.ssr.originalPrice;
+
+// Schema.org JSON-LD in SSR collections (per request, defaulting to this)
+const DEFAULT_STRUCTURED_DATA = config.ssr.structuredData;
+const SHOP_BASE_URL = config.ssr.shopBaseUrl.replace(/\/$/, '');
+
+function formatPrice(price, locale = DEFAULT_LOCALE, currency = DEFAULT_CURRENCY) {
+  return new Intl.NumberFormat(locale, {
     style: 'currency',
-    currency: 'EUR',
+    currency,
     minimumFractionDigits: 0,
     maximumFractionDigits: 0
   }).format(price);
 }
 
-function formatProductPricing(product) {
-  const printPrice = product.variants_min_price || 7;
-  return `**Drucke ab ${formatPrice(printPrice)}, Originale ab ${formatPrice(50)}**`;
+function formatProductPricing(product, locale = DEFAULT_LOCALE, currency = DEFAULT_CURRENCY) {
+  const printPrice = product.variants_min_price || DEFAULT_PRINT_PRICE;
+  const originalPrice = product.meta?.originals_min_price || DEFAULT_ORIGINAL_PRICE;
+  return translate(locale, 'pricing.from', {
+    printPrice: formatPrice(printPrice, locale, currency),
+    originalPrice: formatPrice(originalPrice, locale, currency)
+  });
 }
 
-// Generate SSR HTML for fast LCP
+// Generate SSR HTML for fast LCP. Markup comes from the templates directory;
+// every interpolated value is escaped by the template engine
 function generateSSRCollectionHTML(products, collectionData) {
-  const { cityName, totalHits, lat, lng, radiusKm, collectionHandle } = collectionData;
+  const locale = collectionData.locale || DEFAULT_LOCALE;
+  const currency = collectionData.currency || DEFAULT_CURRENCY;
+  const t = (key, params) => translate(locale, key, params);
+  const featureCardRules = templates.getFeatureCardRules();
 
-  // Generate product cards HTML with FIXED feature card insertion
-  let productsHTML = '';
+  let itemsHTML = '';
   products.forEach((product, index) => {
-    // Insert feature card after the second product (index 2)
-    if (index === 2) {
-      const featureCard = `
-        <div class="masonry-item feature-card-item">
-          <div class="feature-card">
-            <div class="feature-card__content">
-              <div class="feature-card__image">
-                <img src="https://res.cloudinary.com/dyvp677di/image/upload/c_scale,w_512/v1749314053/198534de-dae5-4c81-8861-98222854e0d3.png" alt="Close Canvas founder at art market" loading="lazy" style="width: 100%; height: 100%; object-fit: cover;">
-              </div>
-              <div class="feature-card__text">
-                <h1 class="feature-card__title">Our Online art market</h1>
-                <p class="feature-card__description">You've met us at flea markets & art sales. Now we're bringing affordable art around Germany with our new website.</p>
-                <p class="feature-card__secondary">Look around! We're still featuring amazing unknown artists featuring beautiful and affordable art.</p>
-              </div>
-            </div>
-          </div>
-        </div>
-      `;
-      productsHTML += featureCard;
-    }
-    
-    // Add the product card
-    const originalImageUrl = product.product_image || product.image || '';
-    const optimizedImageUrl = optimizeImageUrl(originalImageUrl);
-    const priceDisplay = formatProductPricing(product);
-    
-    // First 2 images should not be lazy loaded for LCP
-    const shouldLazyLoad = index >= 2;
-
-    productsHTML += `
-      <div class="masonry-item" data-location-photo="${product.meta?.location?.details?.location_photo || 'no-photo'}">
-        <div class="card-wrapper product-card-wrapper">
-          <div class="card card--standard card--media">
-            <a href="/products/${product.handle}" class="full-unstyled-link">
-              ${optimizedImageUrl ? `
-                <div class="card__media">
-                  <img 
-                    src="${optimizedImageUrl}" 
-                    alt="${escapeHtml(product.title)}" 
-                    ${shouldLazyLoad ? 'loading="lazy"' : ''}
-                    width="400"
-                    height="300"
-                    style="width: 100%; height: auto; max-width: 100%; display: block; vertical-align: bottom;"
-                    ${index === 0 ? 'fetchpriority="high"' : ''}
-                  >
-                </div>
-              ` : ''}
-              <div class="card__content">
-                <h3 class="card__heading">${escapeHtml(product.title)}</h3>
-                ${priceDisplay ? `<div class="price">${priceDisplay}</div>` : ''}
-              </div>
-            </a>
-          </div>
-        </div>
-      </div>
-    `;
+    // Feature and promo cards are inserted before the product at their position
+    getFeatureCardsAt(featureCardRules, index, collectionData).forEach(card => {
+      itemsHTML += templates.render(card.template || 'feature-card', { card, locale, t });
+    });
+
+    itemsHTML += templates.render('card', {
+      product,
+      index,
+      image: getResponsiveImage(product, SSR_IMAGE_OPTIONS),
+      priceDisplay: formatProductPricing(product, locale, currency),
+      locationPhoto: product.meta?.location?.details?.location_photo || 'no-photo',
+      // First 2 images should not be lazy loaded for LCP
+      lazy: index >= 2,
+      highPriority: index === 0,
+      locale,
+      t
+    });
   });
 
-  // Complete SSR HTML structure
-  return `
-    <div class="ssr-geo-results" data-generated="${new Date().toISOString()}" data-city="${escapeHtml(cityName)}">
-      <div class="ssr-geo-results__inner">
-        <div class="ssr-geo-results__grid">
-          <div class="masonry-grid">
-            ${productsHTML}
-          </div>
-        </div>
-        <div class="ssr-loading-more" style="text-align: center; padding: 2rem 0; opacity: 0.7;">
-          <p>Loading more artwork...</p>
-        </div>
-      </div>
-    </div>
-
-    <script>
-      // Mark SSR content as loaded
-      console.log('🚀 SSR content rendered for ${escapeHtml(cityName)} - LCP should be fast!');
-      
-      // Add basic event listeners for product links
-      document.addEventListener('DOMContentLoaded', function() {
-        const ssrContent = document.querySelector('.ssr-geo-results');
-        if (ssrContent) {
-          console.log('✅ SSR content initialized:', {
-            products: ssrContent.querySelectorAll('.masonry-item').length,
-            city: '${escapeHtml(cityName)}',
-            generated: ssrContent.dataset.generated
-          });
-        }
-      });
-    </script>
-  `;
+  const structuredDataHTML = collectionData.structuredData
+    ? renderJsonLd(buildCollectionStructuredData(products, { ...collectionData, locale, currency }, {
+      baseUrl: SHOP_BASE_URL
+    }))
+    : '';
+
+  return templates.render('grid', {
+    ...collectionData,
+    locale,
+    currency,
+    generated: new Date().toISOString(),
+    itemsHTML,
+    structuredDataHTML,
+    t
+  });
 }
 
 // Health check endpoint
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
   res.json({ 
     status: 'ok', 
     service: 'algolia-cache-server',
-    cache_size: cache.size,
+    cache_backend: cache.backend,
+    cache_size: await cache.size(),
+    search_circuit: searchIndices.size === 1 ? getSearchIndex().state() : mapSearchIndices(index => index.state()),
     uptime: process.uptime() + 's'
   });
 });
 
 // Cache stats endpoint
-app.get('/cache-stats', (req, res) => {
-  const stats = {
-    size: cache.size,
-    keys: Array.from(cache.keys()),
-    memory: process.memoryUsage(),
-    uptime: process.uptime()
-  };
-  res.json(stats);
+app.get('/cache-stats', limitRate('admin'), adminAuth.requireAdmin, async (req, res) => {
+  try {
+    const keys = await cache.keys();
+    const stats = {
+      backend: cache.backend,
+      size: keys.length,
+      keys,
+      ttls: CACHE_TTLS,
+      staleTtls: CACHE_STALE_TTLS,
+      loader: cacheLoader.stats(),
+      coordinateBucketing: COORDINATE_BUCKETING,
+      radiusExpansion: RADIUS_EXPANSION,
+      invalidation: cacheInvalidator.stats(),
+      store: await cache.stats(),
+      search: mapSearchIndices(index => index.stats()),
+      memory: process.memoryUsage(),
+      uptime: process.uptime()
+    };
+    res.json(stats);
+  } catch (error) {
+    logger.error('Cache stats failed', { error });
+    sendError(res, 500, 'internal_error', 'Cache stats failed');
+  }
 });
 
-// Your existing nearby search endpoint
-app.post('/api/nearby-search', async (req, res) => {
-  try {
-    const { 
-      lat, 
-      lng, 
-      radiusKm = 30, 
-      hitsPerPage = 24, 
-      currentHandle,
-      maxPerLocation = 2,
-      fallback = false
-    } = req.body;
-
-    console.log(`🌍 Nearby search:`, {
-      location: lat && lng ? `${lat}, ${lng}` : 'fallback',
-      radius: `${radiusKm}km`,
-      page: hitsPerPage
-    });
+// Degraded flag for responses built from cache while search is unavailable:
+// either the rebuild failed and we fell back to the last known entry, or the
+// entry is stale and its background refresh can't succeed until the circuit closes
+function getDegradedInfo(status, error, indexName) {
+  if (status === 'fallback') {
+    return { degraded: true, degradedReason: error.degradedReason || 'regeneration_failed' };
+  }
 
-    if (!fallback && (!lat || !lng)) {
-      return res.status(400).json({
-        error: 'Missing required parameters: lat, lng (or set fallback: true)'
-      });
-    }
+  if (status === 'stale' && getSearchIndex(indexName).state() === 'open') {
+    return { degraded: true, degradedReason: 'circuit_open' };
+  }
 
-    // Create cache key
-    const cacheKey = `nearby:${lat || 'fallback'}:${lng || 'fallback'}:${radiusKm}:${hitsPerPage}:${maxPerLocation}`;
-    
-    // Check cache
-    const cached = cache.get(cacheKey);
-    if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
-      const cacheAge = Math.round((Date.now() - cached.timestamp) / (1000 * 60));
-      console.log(`✅ Cache HIT - Age: ${cacheAge} minutes`);
-      
-      return res.json({
-        ...cached.data,
-        cached: true,
-        cacheAge: cacheAge + 'm'
-      });
-    }
+  return {};
+}
+
+// Nothing cached to fall back to - tell the client search is down instead of a bare 500
+function sendSearchUnavailable(res, error) {
+  if (error.code === 'CIRCUIT_OPEN') {
+    res.set('Retry-After', String(Math.ceil(config.search.resetTimeoutMs / 1000)));
+  }
+
+  sendError(res, 503, 'search_unavailable', 'Search is temporarily unavailable', {
+    extra: { degraded: true, degradedReason: error.degradedReason }
+  });
+}
+
+// Snap a request's coordinates to its bucket center so nearby coordinates share
+// one cache entry and every request in the bucket sees the same results
+function hasCoordinates(spec) {
+  return Number.isFinite(spec.lat) && Number.isFinite(spec.lng);
+}
+
+function applyCoordinateBucket(spec) {
+  if (!hasCoordinates(spec)) return spec;
+
+  const bucket = bucketCoordinates(spec.lat, spec.lng, COORDINATE_BUCKETING);
+  if (!bucket) return spec;
+
+  return { ...spec, lat: bucket.lat, lng: bucket.lng, bucket };
+}
+
+// Fallback searches ignore the coordinates, so they share one key part and
+// never collide with a geo search for the same point
+function getCoordinateKeyPart(spec) {
+  if (spec.fallback || !hasCoordinates(spec)) {
+    return 'fallback:fallback';
+  }
+  if (spec.bucket) {
+    return `${spec.bucket.mode}:${spec.bucket.id}`;
+  }
+  return `${spec.lat}:${spec.lng}`;
+}
+
+// Cache entry builders - shared by the endpoints, background refreshes and
+// webhook-triggered regeneration. Entries keep the spec they were built from
+// and are tagged with every product, city and collection they contain
+
+// Only present for non-default indices, so existing keys stay unchanged
+function getIndexKeyPart(spec) {
+  return spec.index && spec.index !== DEFAULT_INDEX ? `${spec.index}:` : '';
+}
 
-    console.log(`⚡ Cache MISS - Searching Algolia`);
+// Only present when widening is on, so existing keys stay unchanged
+function getRadiusExpansionKeyPart(spec) {
+  return spec.minResults > 0 ? `:expand=${spec.minResults}-${spec.maxRadiusKm}` : '';
+}
+
+// Identifies the search itself - every page of it shares this key
+function getNearbySearchKey(params) {
+  const { radiusKm, hitsPerPage, maxPerLocation, currentHandle, filters, dedup } = params;
+  return `nearby:${getIndexKeyPart(params)}${getCoordinateKeyPart(params)}:${radiusKm}:${hitsPerPage}:${maxPerLocation}` +
+    `${currentHandle ? `:not=${currentHandle}` : ''}${getFiltersKeyPart(filters)}` +
+    `${getRadiusExpansionKeyPart(params)}${getDedupKeyPart(dedup)}`;
+}
+
+function getNearbyCacheKey(params) {
+  const cursorPart = params.cursor ? `:cursor=${getSearchFingerprint(params.cursor)}` : '';
+  return `${getNearbySearchKey(params)}${cursorPart}`;
+}
+
+// Fills one deduplicated page starting at Algolia page `start.page` with the
+// dedup state of the pages before it. Leftovers on a page that was cut off
+// at hitsPerPage are picked up again by the next cursor, so nothing is skipped
+async function searchNearbyPage(params, searchRadiusKm, start, options = {}) {
+  const { lat, lng, hitsPerPage, currentHandle, maxPerLocation, fallback, filters, dedup } = params;
+  const geoSearch = !fallback && hasCoordinates(params);
+  const algoliaFilters = compileFilters(filters, {
+    medium: FILTER_MEDIUM,
+    excludeHandles: currentHandle ? [currentHandle] : []
+  });
 
-    const client = algoliasearch(
-      process.env.ALGOLIA_APP_ID || '9DAT2FR7L3',
-      process.env.ALGOLIA_SEARCH_API_KEY || '2daede0d3abc6d559d4fbd37d763d544'
-    );
+  const hits = [];
+  const inputHits = [];
+  const dropped = [];
+  let state = start.state;
+  let page = start.page;
+  let nextPage = null;
+  let searchResponse;
+  let config;
 
-    const index = client.initIndex(process.env.ALGOLIA_INDEX_NAME || 'shopify_products');
+  // Shared with the widening attempts of the same request when passed in
+  const budget = options.budget || { remaining: NEARBY_MAX_SEARCHES_PER_PAGE };
 
+  for (;;) {
+    budget.remaining--;
     const searchParams = {
       hitsPerPage: hitsPerPage * 3,
+      page,
       attributesToRetrieve: [
-        'title', 'handle', 'product_image', 'image', 'price', 
-        'vendor', '_geoloc', 'meta.location.details'
+        'id', 'title', 'handle', 'product_image', 'image', 'price', 
+        'vendor', '_geoloc', 'meta.location.details', 'meta.featured'
       ],
       getRankingInfo: true,
-      filters: currentHandle ? `NOT handle:${currentHandle}` : undefined
+      filters: algoliaFilters
     };
 
-    if (!fallback && lat && lng) {
+    if (geoSearch) {
       searchParams.aroundLatLng = `${lat},${lng}`;
-      searchParams.aroundRadius = radiusKm * 1000;
+      searchParams.aroundRadius = searchRadiusKm * 1000;
     }
 
-    const searchResponse = await index.search('', searchParams);
-    const uniqueHits = deduplicateForCollection(searchResponse.hits, maxPerLocation, hitsPerPage);
+    searchResponse = await searchAlgolia(params.index, searchParams);
+    const pageHits = geoSearch ? annotateDistances(searchResponse.hits, lat, lng) : searchResponse.hits;
+    const dedupResult = deduplicateHits(pageHits, 'nearby', { maxPerGroup: maxPerLocation, ...dedup }, {
+      maxResults: hitsPerPage - hits.length,
+      explain: options.explain,
+      state
+    });
+
+    hits.push(...dedupResult.hits);
+    inputHits.push(...pageHits);
+    dropped.push(...dedupResult.dropped);
+    state = dedupResult.state;
+    config = dedupResult.config;
+
+    if (dedupResult.truncated) {
+      nextPage = page;
+      break;
+    }
+    if (page + 1 >= (searchResponse.nbPages || 1)) {
+      break;
+    }
+    page++;
+    if (hits.length >= hitsPerPage || budget.remaining <= 0) {
+      nextPage = page;
+      break;
+    }
+  }
+
+  return {
+    results: hits,
+    hits: inputHits,
+    dedupResult: { hits, dropped, config, state },
+    searchResponse,
+    nextPage
+  };
+}
+
+async function buildNearbyEntry(params, options = {}) {
+  const { radiusKm, fallback, minResults, maxRadiusKm } = params;
+  const geoSearch = !fallback && hasCoordinates(params);
+
+  // Later pages continue from the cursor at the radius the first page settled on
+  const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+  const start = cursor
+    ? { page: cursor.page, state: cursor.state }
+    : { page: 0, state: undefined };
+
+  // Widening spends the same per-request search budget as paging does
+  const budget = { remaining: NEARBY_MAX_SEARCHES_PER_PAGE };
+
+  const outcome = await searchWithRadiusExpansion(searchRadiusKm => {
+    return searchNearbyPage(params, searchRadiusKm, start, { ...options, budget });
+  }, {
+    radiusKm: cursor && cursor.radiusKm !== null ? cursor.radiusKm : radiusKm,
+    minResults: geoSearch && !cursor ? minResults : 0,
+    maxRadiusKm,
+    factor: RADIUS_EXPANSION.factor,
+    maxSteps: RADIUS_EXPANSION.maxSteps,
+    canWiden: () => budget.remaining > 0
+  });
+
+  const { searchResponse, dedupResult } = outcome;
+  const uniqueHits = dedupResult.hits;
+  const effectiveRadiusKm = geoSearch ? outcome.effectiveRadiusKm : null;
+
+  if (outcome.radiiTried.length > 1) {
+    logger.info('Widened nearby radius', { effectiveRadiusKm: outcome.effectiveRadiusKm, products: uniqueHits.length });
+  }
 
-    const response = {
+  const nextCursor = outcome.nextPage === null ? null : encodeCursor({
+    fingerprint: getSearchFingerprint(getNearbySearchKey(params)),
+    page: outcome.nextPage,
+    radiusKm: effectiveRadiusKm,
+    state: dedupResult.state
+  });
+
+  return {
+    type: 'nearby',
+    data: {
       hits: uniqueHits,
       totalHits: searchResponse.nbHits,
-      cached: false,
-      searchTime: searchResponse.processingTimeMS
+      searchTime: searchResponse.processingTimeMS,
+      effectiveRadiusKm,
+      nextCursor
+    },
+    timestamp: Date.now(),
+    spec: params,
+    tags: ['type:nearby', ...getProductTags(uniqueHits)],
+    ...(options.explain && {
+      debug: { ...getDedupDebugInfo(outcome.hits, dedupResult), radiiTried: outcome.radiiTried }
+    })
+  };
+}
+
+const ssrHtmlBytes = metrics.histogram('ssr_html_bytes', 'Size of generated SSR collection HTML', [], [
+  4096, 16384, 32768, 65536, 131072, 262144, 524288, 1048576
+]);
+
+function getCollectionCacheKey(spec) {
+  const { cityName, radiusKm, hitsPerPage, locale, currency, structuredData, filters, dedup } = spec;
+  return `ssr-collection:${getIndexKeyPart(spec)}${cityName}:${getCoordinateKeyPart(spec)}:${radiusKm}:${hitsPerPage}:${locale}:${currency}` +
+    `${structuredData ? ':ld' : ''}${getFiltersKeyPart(filters)}${getRadiusExpansionKeyPart(spec)}${getDedupKeyPart(dedup)}`;
+}
+
+async function buildCollectionEntry(spec, options = {}) {
+  const {
+    lat, lng, radiusKm, cityName, collectionHandle, hitsPerPage,
+    locale, currency, structuredData, filters, dedup, minResults, maxRadiusKm
+  } = spec;
+  const algoliaFilters = compileFilters(filters, { medium: FILTER_MEDIUM });
+
+  logger.info('Generating SSR HTML', { city: cityName, locale, currency });
+
+  const outcome = await searchWithRadiusExpansion(async function(searchRadiusKm) {
+    const searchParams = {
+      aroundLatLng: `${lat},${lng}`,
+      aroundRadius: searchRadiusKm * 1000,
+      hitsPerPage: 100, // Get more for better deduplication
+      attributesToRetrieve: [
+        'id', 'title', 'handle', 'product_image', 'image', 'price', 
+        'vendor', '_geoloc', 'meta.location.details', 'variants_min_price', 'meta.featured',
+        'meta.originals_min_price', 'image_width', 'image_height', 'image_aspect_ratio'
+      ],
+      getRankingInfo: true,
+      filters: algoliaFilters
     };
 
-    // Cache the result
-    cache.set(cacheKey, {
-      data: response,
-      timestamp: Date.now()
+    const searchResponse = await searchAlgolia(spec.index, searchParams);
+    const hits = annotateDistances(searchResponse.hits, lat, lng);
+
+    // Location photo deduplication (max 2 per photo, featured first)
+    const dedupResult = deduplicateHits(hits, 'collection', dedup, {
+      maxResults: hitsPerPage,
+      explain: options.explain
     });
 
-    // Cache cleanup
-    if (cache.size > 1000) {
-      const oldestKey = cache.keys().next().value;
-      cache.delete(oldestKey);
+    return { results: dedupResult.hits, hits, dedupResult, searchResponse };
+  }, {
+    radiusKm,
+    minResults,
+    maxRadiusKm,
+    factor: RADIUS_EXPANSION.factor,
+    maxSteps: RADIUS_EXPANSION.maxSteps
+  });
+
+  const { searchResponse, dedupResult, effectiveRadiusKm } = outcome;
+  const deduplicatedHits = dedupResult.hits;
+
+  if (outcome.radiiTried.length > 1) {
+    logger.info('Widened collection radius', { city: cityName, effectiveRadiusKm, products: deduplicatedHits.length });
+  }
+
+  const collectionData = { 
+    cityName, 
+    totalHits: searchResponse.nbHits, 
+    lat, 
+    lng, 
+    radiusKm: effectiveRadiusKm,
+    collectionHandle,
+    locale,
+    currency,
+    structuredData
+  };
+  
+  const staticHTML = generateSSRCollectionHTML(deduplicatedHits, collectionData);
+
+  // The first card's image is the LCP element - hand the theme a preload hint
+  const preload = deduplicatedHits.length > 0
+    ? getPreloadHint(getResponsiveImage(deduplicatedHits[0], SSR_IMAGE_OPTIONS))
+    : null;
+
+  const htmlBytes = Buffer.byteLength(staticHTML);
+  ssrHtmlBytes.observe({}, htmlBytes);
+  logger.info('SSR HTML generated', {
+    city: cityName,
+    products: deduplicatedHits.length,
+    htmlBytes,
+    processingTimeMS: searchResponse.processingTimeMS
+  });
+
+  return {
+    type: 'ssr-collection',
+    data: staticHTML,
+    preload,
+    timestamp: Date.now(),
+    generated: new Date().toISOString(),
+    stats: {
+      products: deduplicatedHits.length,
+      totalHits: searchResponse.nbHits,
+      city: cityName,
+      searchTime: searchResponse.processingTimeMS,
+      radiusKm,
+      effectiveRadiusKm
+    },
+    spec,
+    tags: [
+      'type:ssr-collection',
+      getCityTag(cityName),
+      ...(collectionHandle ? [getCollectionTag(collectionHandle)] : []),
+      ...getProductTags(deduplicatedHits)
+    ],
+    ...(options.explain && {
+      debug: { ...getDedupDebugInfo(outcome.hits, dedupResult), radiiTried: outcome.radiiTried }
+    })
+  };
+}
+
+// Map tiles: every product in the tile, clustered (see lib/map-tiles.js).
+// Keyed by tile and filters only, so all viewports share them
+const MAP_CLUSTER_OPTIONS = {
+  gridSize: config.map.gridSize,
+  singleProductZoom: config.map.singleProductZoom,
+  thumbnailWidth: config.map.thumbnailWidth
+};
+
+// Algolia returns at most 1000 hits per search
+const MAP_TILE_HITS_PER_PAGE = Math.min(config.map.tileHitsPerPage, 1000);
+
+function getMapTileCacheKey(spec) {
+  return `map-tile:${getIndexKeyPart(spec)}${getTileId(spec)}${getFiltersKeyPart(spec.filters)}`;
+}
+
+async function buildMapTileEntry(spec) {
+  const bounds = getTileBounds(spec);
+  const searchResponse = await searchAlgolia(spec.index, {
+    insideBoundingBox: [[bounds.north, bounds.east, bounds.south, bounds.west]],
+    hitsPerPage: MAP_TILE_HITS_PER_PAGE,
+    attributesToRetrieve: [
+      'id', 'title', 'handle', 'product_image', 'image', 'price',
+      'vendor', '_geoloc', 'meta.location.details', 'meta.featured'
+    ],
+    filters: compileFilters(spec.filters, { medium: FILTER_MEDIUM })
+  });
+  const hits = searchResponse.hits;
+
+  return {
+    type: 'map-tile',
+    data: {
+      features: clusterTile(hits, spec, MAP_CLUSTER_OPTIONS),
+      products: hits.length,
+      // Counts only cover the first MAP_TILE_HITS_PER_PAGE products
+      truncated: searchResponse.nbHits > hits.length
+    },
+    timestamp: Date.now(),
+    spec,
+    tags: ['type:map-tile', ...getProductTags(hits)]
+  };
+}
+
+// Rebuild a purged entry from the spec it was originally built from
+function regenerateEntry(key, entry) {
+  if (entry.type === 'ssr-collection') {
+    return cacheLoader.load(key, 'ssr-collection', () => buildCollectionEntry(entry.spec), { force: true });
+  }
+  if (entry.type === 'map-tile') {
+    return cacheLoader.load(key, 'map-tile', () => buildMapTileEntry(entry.spec), { force: true });
+  }
+  if (entry.type === 'nearby') {
+    return cacheLoader.load(key, 'nearby', () => buildNearbyEntry(entry.spec), { force: true });
+  }
+  throw new Error(`Cannot regenerate cache entries of type "${entry.type}"`);
+}
+
+// Request schemas - shared limits keep a single request from asking Algolia
+// for thousands of hits
+const MAX_HITS_PER_PAGE = config.search.maxHitsPerPage;
+const MAX_RADIUS_KM = config.search.maxRadiusKm;
+
+const COORDINATE_FIELDS = {
+  lat: { type: 'number', min: -90, max: 90 },
+  lng: { type: 'number', min: -180, max: 180 }
+};
+
+const SEARCH_AREA_FIELDS = {
+  minResults: { type: 'integer', min: 0, max: MAX_HITS_PER_PAGE, default: RADIUS_EXPANSION.minResults },
+  maxRadiusKm: { type: 'number', min: 1, max: MAX_RADIUS_KM, default: RADIUS_EXPANSION.maxRadiusKm },
+  filters: { type: 'object', parse: parseFilters, default: {} },
+  index: { type: 'string', enum: Array.from(searchIndices.keys()), default: DEFAULT_INDEX },
+  debug: { type: 'boolean', default: false }
+};
+
+function parseHandle(handle) {
+  if (!isValidHandle(handle)) throw new Error('must be a Shopify handle');
+  return handle;
+}
+
+// Dedup overrides are checked against their preset; the object itself is kept
+function parseDedupOverrides(preset) {
+  return function(overrides) {
+    resolveDedupConfig(preset, overrides);
+    return overrides;
+  };
+}
+
+const NEARBY_SCHEMA = {
+  ...COORDINATE_FIELDS,
+  lat: { ...COORDINATE_FIELDS.lat, required: value => !value.fallback },
+  lng: { ...COORDINATE_FIELDS.lng, required: value => !value.fallback },
+  radiusKm: { type: 'number', min: 0.1, max: MAX_RADIUS_KM, default: config.search.defaultRadiusKm },
+  hitsPerPage: { type: 'integer', min: 1, max: MAX_HITS_PER_PAGE, default: config.search.nearbyHitsPerPage },
+  currentHandle: { type: 'string', max: 255, parse: parseHandle },
+  maxPerLocation: { type: 'integer', min: 1, max: MAX_HITS_PER_PAGE, default: 2 },
+  fallback: { type: 'boolean', default: false },
+  cursor: { type: 'string', max: MAX_CURSOR_LENGTH },
+  dedup: { type: 'object', parse: parseDedupOverrides('nearby'), default: {} },
+  ...SEARCH_AREA_FIELDS
+};
+
+const COLLECTION_SCHEMA = {
+  lat: { ...COORDINATE_FIELDS.lat, required: true },
+  lng: { ...COORDINATE_FIELDS.lng, required: true },
+  radiusKm: { type: 'number', min: 0.1, max: MAX_RADIUS_KM, default: config.search.defaultRadiusKm },
+  cityName: { type: 'string', min: 1, max: 100, required: true },
+  collectionHandle: { type: 'string', max: 255, parse: parseHandle },
+  // More products for feature card insertion
+  hitsPerPage: { type: 'integer', min: 1, max: MAX_HITS_PER_PAGE, default: config.search.collectionHitsPerPage },
+  locale: {
+    type: 'string',
+    default: DEFAULT_LOCALE,
+    parse: locale => {
+      if (!isSupportedLocale(locale)) throw new Error('must be a supported locale, e.g. "de-DE"');
+      return locale;
     }
+  },
+  currency: {
+    type: 'string',
+    default: DEFAULT_CURRENCY,
+    parse: currency => {
+      if (!isSupportedCurrency(currency)) throw new Error('must be an ISO 4217 currency code, e.g. "EUR"');
+      return currency.toUpperCase();
+    }
+  },
+  structuredData: { type: 'boolean', default: DEFAULT_STRUCTURED_DATA },
+  dedup: { type: 'object', parse: parseDedupOverrides('collection'), default: {} },
+  forceRegenerate: { type: 'boolean', default: false },
+  ...SEARCH_AREA_FIELDS
+};
+
+// What a collection entry is built from - debug and forceRegenerate only
+// change how a request is served, not what gets cached
+function getCollectionSpec(fields) {
+  const { debug, forceRegenerate, ...spec } = fields;
+  return applyCoordinateBucket(spec);
+}
 
-    res.json(response);
+// Your existing nearby search endpoint
+app.post('/api/nearby-search', limitRate('nearby'), validateRequest(NEARBY_SCHEMA), async (req, res) => {
+  try {
+    const { 
+      lat, 
+      lng, 
+      radiusKm, 
+      hitsPerPage, 
+      currentHandle,
+      maxPerLocation,
+      fallback,
+      minResults,
+      maxRadiusKm,
+      cursor,
+      filters,
+      index,
+      dedup,
+      debug
+    } = req.validated;
+
+    if (debug && !adminAuth.isAdmin(req)) {
+      return sendError(res, 401, 'unauthorized', 'debug requires an admin token');
+    }
 
-  } catch (error) {
-    console.error('❌ Nearby search error:', error);
-    res.status(500).json({
-      error: 'Search failed',
-      message: error.message
+    logger.info('Nearby search', {
+      location: fallback ? 'fallback' : `${lat},${lng}`,
+      radiusKm,
+      hitsPerPage
+    });
+
+    const params = applyCoordinateBucket({
+      lat,
+      lng,
+      radiusKm,
+      hitsPerPage,
+      currentHandle,
+      maxPerLocation,
+      fallback,
+      minResults,
+      maxRadiusKm,
+      filters,
+      index,
+      dedup,
+      ...(cursor !== undefined && { cursor })
+    });
+
+    // A cursor only continues the search it was issued for
+    if (cursor !== undefined) {
+      let decoded;
+      try {
+        decoded = decodeCursor(cursor);
+      } catch (error) {
+        return sendError(res, 400, 'invalid_cursor', error.message);
+      }
+      if (decoded.fingerprint !== getSearchFingerprint(getNearbySearchKey(params))) {
+        return sendError(res, 400, 'invalid_cursor', 'Cursor does not belong to this search');
+      }
+    }
+
+    const cacheKey = getNearbyCacheKey(params);
+
+    // Debug runs bypass the cache so the explanation matches this exact search
+    if (debug) {
+      const debugEntry = await buildNearbyEntry(params, { explain: true });
+      return res.json({
+        ...debugEntry.data,
+        cached: false,
+        debug: debugEntry.debug
+      });
+    }
+
+    // Fresh hit, stale hit (refreshed in the background) or a coalesced Algolia search
+    const { entry, status, error } = await cacheLoader.load(cacheKey, 'nearby', () => {
+      logger.debug('Cache miss - searching Algolia', { key: cacheKey });
+      return buildNearbyEntry(params);
     });
+
+    if (status === 'miss' || status === 'coalesced') {
+      return res.json({
+        ...entry.data,
+        cached: false,
+        coalesced: status === 'coalesced',
+        ...(params.bucket && { bucket: params.bucket })
+      });
+    }
+
+    const cacheAge = Math.round(cacheLoader.getAge(entry) / (1000 * 60));
+    const degradedInfo = getDegradedInfo(status, error, params.index);
+
+    if (degradedInfo.degraded) {
+      logger.warn('Serving last known nearby results', { degradedReason: degradedInfo.degradedReason, cacheAgeMinutes: cacheAge });
+    } else {
+      logger.debug('Nearby cache hit', { status, cacheAgeMinutes: cacheAge });
+    }
+
+    res.json({
+      ...entry.data,
+      cached: true,
+      stale: !cacheLoader.isFresh(entry, 'nearby'),
+      cacheAge: cacheAge + 'm',
+      ...(params.bucket && { bucket: params.bucket }),
+      ...degradedInfo
+    });
+
+  } catch (error) {
+    logger.error('Nearby search failed', { error });
+    if (error.degradedReason) {
+      return sendSearchUnavailable(res, error);
+    }
+    sendError(res, 500, 'internal_error', 'Search failed');
   }
 });
 
 // Pre-generate collection endpoint with location photo deduplication and SSR
-app.post('/api/pre-generate-collection', async (req, res) => {
+app.post('/api/pre-generate-collection', limitRate('collection'), validateRequest(COLLECTION_SCHEMA), async (req, res) => {
   try {
     const { 
       lat, 
       lng, 
-      radiusKm = 30, 
+      radiusKm, 
       cityName,
       collectionHandle,
-      hitsPerPage = 8, // More products for feature card insertion
-      forceRegenerate = false
-    } = req.body;
-
-    if (!lat || !lng || !cityName) {
-      return res.status(400).json({
-        error: 'Missing required parameters: lat, lng, cityName'
-      });
+      hitsPerPage,
+      locale,
+      currency,
+      debug,
+      forceRegenerate
+    } = req.validated;
+
+    // Both bypass the cache and cost an uncached Algolia search
+    if ((forceRegenerate || debug) && !adminAuth.isAdmin(req)) {
+      return sendError(res, 401, 'unauthorized', 'forceRegenerate and debug require an admin token');
     }
 
-    console.log(`🏗️ Pre-generating collection with location photo dedup:`, {
+    logger.info('Pre-generating collection', {
       city: cityName,
-      location: `${lat}, ${lng}`,
-      radius: `${radiusKm}km`,
+      location: `${lat},${lng}`,
+      radiusKm,
       handle: collectionHandle,
-      maxProducts: hitsPerPage
+      maxProducts: hitsPerPage,
+      locale,
+      currency
     });
 
-    // Create cache key
-    const cacheKey = `ssr-collection:${cityName}:${lat}:${lng}:${radiusKm}:${hitsPerPage}`;
-    
-    // Check cache unless force regenerate
-    if (!forceRegenerate) {
-      const cached = cache.get(cacheKey);
-      if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
-        const cacheAge = Math.round((Date.now() - cached.timestamp) / (1000 * 60 * 60));
-        console.log(`✅ Returning cached SSR HTML - Age: ${cacheAge} hours`);
-        
-        return res.json({
-          html: cached.data,
-          cached: true,
-          cacheAge: cacheAge + 'h',
-          generated: cached.generated,
-          stats: cached.stats
-        });
-      }
+    const spec = getCollectionSpec(req.validated);
+    const cacheKey = getCollectionCacheKey(spec);
+
+    // Debug runs bypass the cache so the explanation matches this exact search
+    if (debug) {
+      const debugEntry = await buildCollectionEntry(spec, { explain: true });
+      return res.json({
+        html: debugEntry.data,
+        preload: debugEntry.preload,
+        cached: false,
+        generated: debugEntry.generated,
+        stats: debugEntry.stats,
+        debug: debugEntry.debug
+      });
     }
 
-    console.log(`🔍 Generating new SSR HTML for ${cityName}`);
+    // forceRegenerate skips the cache read but still joins an in-flight build
+    const { entry, status, error } = await cacheLoader.load(cacheKey, 'ssr-collection', () => {
+      return buildCollectionEntry(spec);
+    }, { force: forceRegenerate });
 
-    const client = algoliasearch(
-      process.env.ALGOLIA_APP_ID || '9DAT2FR7L3',
-      process.env.ALGOLIA_SEARCH_API_KEY || '2daede0d3abc6d559d4fbd37d763d544'
-    );
+    if (status === 'miss' || status === 'coalesced') {
+      return res.json({
+        html: entry.data,
+        preload: entry.preload || null,
+        cached: false,
+        coalesced: status === 'coalesced',
+        generated: entry.generated,
+        stats: entry.stats,
+        ...(spec.bucket && { bucket: spec.bucket })
+      });
+    }
 
-    const index = client.initIndex(process.env.ALGOLIA_INDEX_NAME || 'shopify_products');
+    const cacheAge = Math.round(cacheLoader.getAge(entry) / (1000 * 60 * 60));
+    const degradedInfo = getDegradedInfo(status, error, spec.index);
 
-    const searchParams = {
-      aroundLatLng: `${lat},${lng}`,
-      aroundRadius: radiusKm * 1000,
-      hitsPerPage: 100, // Get more for better deduplication
-      attributesToRetrieve: [
-        'title', 'handle', 'product_image', 'image', 'price', 
-        'vendor', '_geoloc', 'meta.location.details', 'variants_min_price', 'meta.featured'
-      ],
-      getRankingInfo: true
-    };
+    if (degradedInfo.degraded) {
+      logger.warn('Serving last known SSR HTML', { degradedReason: degradedInfo.degradedReason, cacheAgeHours: cacheAge });
+    } else {
+      logger.debug('Collection cache hit', { status, cacheAgeHours: cacheAge });
+    }
 
-    const searchResponse = await index.search('', searchParams);
-    
-    // Apply location photo deduplication (max 2 per photo)
-    const deduplicatedHits = deduplicateByLocationPhotoServer(searchResponse.hits, hitsPerPage, 2);
+    res.json({
+      html: entry.data,
+      preload: entry.preload || null,
+      cached: true,
+      stale: !cacheLoader.isFresh(entry, 'ssr-collection'),
+      cacheAge: cacheAge + 'h',
+      generated: entry.generated,
+      stats: entry.stats,
+      ...(spec.bucket && { bucket: spec.bucket }),
+      ...degradedInfo
+    });
 
-    const collectionData = { 
-      cityName, 
-      totalHits: searchResponse.nbHits, 
-      lat, 
-      lng, 
-      radiusKm,
-      collectionHandle
-    };
-    
-    const staticHTML = generateSSRCollectionHTML(deduplicatedHits, collectionData);
-
-    // Cache the result
-    const cacheData = {
-      data: staticHTML,
-      timestamp: Date.now(),
-      generated: new Date().toISOString(),
-      stats: {
-        products: deduplicatedHits.length,
-        totalHits: searchResponse.nbHits,
-        city: cityName,
-        searchTime: searchResponse.processingTimeMS
+  } catch (error) {
+    logger.error('Pre-generation failed', { error });
+    if (error.degradedReason) {
+      return sendSearchUnavailable(res, error);
+    }
+    sendError(res, 500, 'internal_error', 'Pre-generation failed');
+  }
+});
+
+// Collection HTML over GET, as the fragment itself, so CDNs and browsers can
+// cache it: GET /collections/koeln/ssr.html?lat=50.94&lng=6.96&cityName=Köln
+// Shares cache entries with POST /api/pre-generate-collection for the same parameters
+const SSR_PAGE_SCHEMA = Object.fromEntries([
+  'lat', 'lng', 'radiusKm', 'cityName', 'hitsPerPage', 'locale', 'currency',
+  'structuredData', 'minResults', 'maxRadiusKm', 'index'
+].map(field => [field, COLLECTION_SCHEMA[field]]));
+
+const SSR_HTTP_MAX_AGE_SEC = config.ssr.httpMaxAgeSec;
+
+const compressionCache = createCompressionCache();
+
+app.get('/collections/:handle/ssr.html', limitRate('ssr'), validateRequest(SSR_PAGE_SCHEMA, 'query'), async (req, res) => {
+  try {
+    if (!isValidHandle(req.params.handle)) {
+      return sendError(res, 400, 'validation_failed', 'Request validation failed', {
+        details: [{ field: 'handle', message: 'must be a Shopify handle' }]
+      });
+    }
+
+    const spec = getCollectionSpec({
+      ...req.validated,
+      collectionHandle: req.params.handle,
+      filters: {},
+      dedup: {}
+    });
+    const cacheKey = getCollectionCacheKey(spec);
+
+    const { entry, status, error } = await cacheLoader.load(cacheKey, 'ssr-collection', () => {
+      return buildCollectionEntry(spec);
+    });
+
+    const html = entry.data;
+    const hash = getContentHash(html);
+    const encoding = negotiateEncoding(req.get('Accept-Encoding'), Buffer.byteLength(html));
+    const degradedInfo = getDegradedInfo(status, error, spec.index);
+
+    res.set({
+      'Content-Type': 'text/html; charset=utf-8',
+      'ETag': getStrongEtag(hash, encoding),
+      'Last-Modified': new Date(entry.generated || entry.timestamp).toUTCString(),
+      'Vary': 'Accept-Encoding',
+      'X-Cache': status.toUpperCase(),
+      // Degraded responses must not be cached downstream past this request
+      'Cache-Control': degradedInfo.degraded ? 'no-cache' : getCacheControl({
+        remainingMs: CACHE_TTLS['ssr-collection'] - cacheLoader.getAge(entry),
+        staleMs: CACHE_STALE_TTLS['ssr-collection'],
+        maxAgeCapSec: SSR_HTTP_MAX_AGE_SEC
+      })
+    });
+    if (degradedInfo.degraded) {
+      res.set('X-Degraded', degradedInfo.degradedReason);
+    }
+
+    const preloadLink = getPreloadLinkHeader(entry.preload);
+    if (preloadLink) {
+      res.set('Link', preloadLink);
+    }
+
+    // Compares If-None-Match / If-Modified-Since with the headers set above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const encoded = await compressionCache.encode(hash, html, encoding);
+    if (encoded.encoding) {
+      res.set('Content-Encoding', encoded.encoding);
+    }
+    res.send(encoded.body);
+
+  } catch (error) {
+    logger.error('SSR HTML request failed', { error });
+    if (error.degradedReason) {
+      return sendSearchUnavailable(res, error);
+    }
+    sendError(res, 500, 'internal_error', 'SSR HTML generation failed');
+  }
+});
+
+// Map view: GeoJSON clusters for a viewport. bbox is [west, south, east, north]
+// (GeoJSON order); the viewport is split into the tiles of its zoom level,
+// each searched with insideBoundingBox and cached on its own
+const MAP_TILE_CONCURRENCY = config.map.tileConcurrency;
+
+function parseBbox(bbox) {
+  const [west, south, east, north] = bbox.map(Number);
+  if ([west, east].some(lng => lng < -180 || lng > 180) || [south, north].some(lat => lat < -90 || lat > 90)) {
+    throw new Error('must be [west, south, east, north] in degrees');
+  }
+  if (west >= east || south >= north) {
+    throw new Error('must have west < east and south < north');
+  }
+  return [west, south, east, north];
+}
+
+const MAP_SCHEMA = {
+  bbox: { type: 'array', min: 4, max: 4, items: { type: 'number' }, parse: parseBbox, required: true },
+  zoom: { type: 'number', min: 0, max: MAX_ZOOM, required: true },
+  filters: SEARCH_AREA_FIELDS.filters,
+  index: SEARCH_AREA_FIELDS.index
+};
+
+app.post('/api/map-clusters', limitRate('map'), validateRequest(MAP_SCHEMA), async (req, res) => {
+  try {
+    const { bbox, zoom, filters, index } = req.validated;
+    const tileZoom = Math.floor(zoom);
+
+    const range = getTileRange(bbox, tileZoom);
+    if (range.count > config.map.maxTiles) {
+      return sendError(res, 400, 'too_many_tiles',
+        `The viewport covers ${range.count} tiles at zoom ${tileZoom} (at most ${config.map.maxTiles}) - zoom in`);
+    }
+
+    const results = await mapWithConcurrency(listTiles(range), MAP_TILE_CONCURRENCY, async function(tile) {
+      const spec = { ...tile, filters, index };
+      const { entry, status, error } = await cacheLoader.load(getMapTileCacheKey(spec), 'map-tile', () => {
+        return buildMapTileEntry(spec);
+      });
+      return { id: getTileId(tile), entry, status, degradedInfo: getDegradedInfo(status, error, index) };
+    });
+
+    // A tile with nothing cached to fall back to fails the whole viewport
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+    const tiles = results.map(result => result.value);
+
+    const degradedTile = tiles.find(tile => tile.degradedInfo.degraded);
+    if (degradedTile) {
+      logger.warn('Serving last known map tiles', { degradedReason: degradedTile.degradedInfo.degradedReason });
+    }
+
+    res.json({
+      type: 'FeatureCollection',
+      features: tiles.flatMap(tile => tile.entry.data.features),
+      bbox,
+      zoom: tileZoom,
+      tiles: tiles.map(tile => ({
+        id: tile.id,
+        cache: tile.status,
+        products: tile.entry.data.products,
+        truncated: tile.entry.data.truncated
+      })),
+      ...(degradedTile && degradedTile.degradedInfo)
+    });
+
+  } catch (error) {
+    logger.error('Map clustering failed', { error });
+    if (error.degradedReason) {
+      return sendSearchUnavailable(res, error);
+    }
+    sendError(res, 500, 'internal_error', 'Map clustering failed');
+  }
+});
+
+// Regenerate purged SSR collections in the background. Nearby entries are
+// cheap and rebuild lazily on the next request
+function scheduleRegeneration(matches, delayMs = 0) {
+  const collections = matches.filter(({ entry }) => entry.type === 'ssr-collection' && entry.spec);
+  if (collections.length === 0) return 0;
+
+  setTimeout(async () => {
+    for (const { key, entry } of collections) {
+      try {
+        await regenerateEntry(key, entry);
+      } catch (error) {
+        logger.error('Regeneration failed', { key, error });
       }
-    };
+    }
+    logger.info('Regenerated collections', { count: collections.length });
+  }, delayMs).unref();
+
+  return collections.length;
+}
 
-    cache.set(cacheKey, cacheData);
+// List cache entries carrying any of the given tags (?tag=city:berlin&tag=product:foo)
+const TAG_LIST_RULE = {
+  type: 'array',
+  min: 1,
+  max: 100,
+  items: { type: 'string', min: 1, max: 255 },
+  required: true
+};
 
-    console.log(`✅ SSR HTML generated for ${cityName}:`, {
-      products: deduplicatedHits.length,
-      htmlSize: `${Math.round(staticHTML.length / 1024)}KB`,
-      processingTime: `${searchResponse.processingTimeMS}ms`
+app.get('/admin/cache/entries', async (req, res) => {
+  try {
+    const { value, errors } = validate({ tag: TAG_LIST_RULE }, { tag: [].concat(req.query.tag || []) });
+    if (errors.length > 0) {
+      return sendError(res, 400, 'validation_failed', 'Request validation failed', { details: errors });
+    }
+    const tags = value.tag;
+
+    const matches = await cacheInvalidator.findEntries(tags);
+    res.json({
+      tags,
+      count: matches.length,
+      entries: matches.map(({ key, entry }) => ({
+        key,
+        type: entry.type,
+        generated: entry.generated || new Date(entry.timestamp).toISOString(),
+        tags: entry.tags
+      }))
     });
+  } catch (error) {
+    logger.error('Cache entry lookup failed', { error });
+    sendError(res, 500, 'internal_error', 'Cache entry lookup failed');
+  }
+});
+
+// Purge every cache entry carrying any of the given tags, optionally
+// regenerating the SSR collections among them
+const PURGE_SCHEMA = {
+  tags: TAG_LIST_RULE,
+  regenerate: { type: 'boolean', default: false }
+};
+
+app.post('/admin/cache/purge', validateRequest(PURGE_SCHEMA), async (req, res) => {
+  try {
+    const { tags, regenerate } = req.validated;
+
+    const purged = await cacheInvalidator.purge(tags);
+    const regenerating = regenerate ? scheduleRegeneration(purged) : 0;
 
     res.json({
-      html: staticHTML,
-      cached: false,
-      generated: cacheData.generated,
-      stats: cacheData.stats
+      tags,
+      purged: purged.length,
+      keys: purged.map(({ key }) => key),
+      regenerating
     });
+  } catch (error) {
+    logger.error('Cache purge failed', { error });
+    sendError(res, 500, 'internal_error', 'Cache purge failed');
+  }
+});
+
+// Shopify products/update and products/delete webhooks. Sold or unpublished
+// products are purged right away and left out of every rebuild; other updates
+// regenerate in place so the old HTML keeps being served until the new one is ready
+app.post('/webhooks/shopify/products', async (req, res) => {
+  try {
+    const secret = config.shopify.webhookSecret;
+    if (!secret) {
+      logger.error('Shopify webhook received but SHOPIFY_WEBHOOK_SECRET is not set');
+      return sendError(res, 503, 'not_configured', 'Webhook verification not configured');
+    }
 
+    if (!verifyWebhookHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), secret)) {
+      logger.warn('Shopify webhook rejected - invalid HMAC');
+      return sendError(res, 401, 'invalid_signature', 'Invalid webhook signature');
+    }
+
+    const topic = req.get('X-Shopify-Topic');
+    if (topic !== 'products/update' && topic !== 'products/delete') {
+      return res.json({ topic, ignored: true });
+    }
+
+    const product = req.body || {};
+    const tags = getWebhookProductTags(product);
+    if (tags.length === 0) {
+      return sendError(res, 400, 'validation_failed', 'Webhook payload has no product id or handle');
+    }
+
+    const unavailable = isProductUnavailable(topic, product);
+    if (unavailable) {
+      unavailableProducts.add(product);
+    } else {
+      unavailableProducts.remove(product);
+    }
+    const matches = await cacheInvalidator.findEntries(tags);
+
+    logger.info('Shopify product webhook', {
+      topic,
+      product: product.handle || product.id,
+      unavailable,
+      affectedEntries: matches.length
+    });
+
+    // Nearby entries are always purged; collections only when the product must disappear now
+    const toPurge = unavailable ? matches : matches.filter(({ entry }) => entry.type !== 'ssr-collection');
+    for (const { key } of toPurge) {
+      await cache.delete(key);
+    }
+
+    // Rebuilds already leave unavailable products out, so those need no sync delay
+    const regenerating = scheduleRegeneration(matches, unavailable ? 0 : WEBHOOK_REGENERATE_DELAY_MS);
+
+    res.json({
+      topic,
+      productId: product.id || null,
+      handle: product.handle || null,
+      unavailable,
+      purged: toPurge.length,
+      regenerating
+    });
   } catch (error) {
-    console.error('❌ Pre-generation error:', error);
-    res.status(500).json({
-      error: 'Pre-generation failed',
-      message: error.message
+    logger.error('Shopify webhook failed', { error });
+    sendError(res, 500, 'internal_error', 'Webhook processing failed');
+  }
+});
+
+// Pre-warm SSR collections listed in the city manifest so the first visitor
+// per city doesn't pay for a cold Algolia round-trip
+const PREWARM_MANIFEST_PATH = config.prewarm.manifestPath;
+const PREWARM_INTERVAL_MS = config.prewarm.intervalMs;
+
+// Manifest entries are validated with the API's collection schema, so an
+// entry's spec - and cache key - is the one a request with its fields gets
+const CITY_MANIFEST_SCHEMA = {
+  ...COLLECTION_SCHEMA,
+  shop: { type: 'string', min: 1, max: 255 }
+};
+
+function getManifestCollectionSpec(manifestSpec) {
+  const { shop, ...fields } = manifestSpec;
+  return getCollectionSpec(fields);
+}
+
+async function warmCollection(manifestSpec) {
+  const spec = getManifestCollectionSpec(manifestSpec);
+  const cacheKey = getCollectionCacheKey(spec);
+
+  // Skip entries that will still be fresh when the next scheduled run comes around
+  const existing = await cache.peek(cacheKey);
+  if (existing && cacheLoader.getAge(existing) + PREWARM_INTERVAL_MS < CACHE_TTLS['ssr-collection']) {
+    return { skipped: true, products: existing.stats.products };
+  }
+
+  const { entry, status, error } = await cacheLoader.load(cacheKey, 'ssr-collection', () => {
+    return buildCollectionEntry(spec);
+  }, { force: true });
+
+  if (status === 'fallback') {
+    throw error;
+  }
+
+  return { products: entry.stats.products };
+}
+
+const prewarmer = createPrewarmer({
+  manifestPath: PREWARM_MANIFEST_PATH,
+  schema: CITY_MANIFEST_SCHEMA,
+  warmCity: warmCollection,
+  concurrency: config.prewarm.concurrency,
+  intervalMs: PREWARM_INTERVAL_MS
+});
+
+// Per-city warm status and last error
+app.get('/admin/prewarm', (req, res) => {
+  res.json(prewarmer.status());
+});
+
+// Token bucket state per endpoint group
+app.get('/admin/rate-limits', (req, res) => {
+  res.json({
+    enabled: config.rateLimit.enabled,
+    limiters: Object.fromEntries(Object.keys(rateLimiters).map(name => [name, rateLimiters[name].stats()]))
+  });
+});
+
+// Effective configuration with secrets masked
+app.get('/admin/config', (req, res) => {
+  res.json(getPublicConfig(config));
+});
+
+// Trigger a pre-warm run now (no-op if one is already running)
+app.post('/admin/prewarm', (req, res) => {
+  prewarmer.run();
+  res.status(202).json(prewarmer.status());
+});
+
+// Shopify App Proxy: the storefront's /apps/<subpath>/collections/koeln
+// arrives as /proxy/collections/koeln?shop=...&timestamp=...&signature=...
+// The city is the manifest entry with that collectionHandle - one naming this
+// shop wins over a shared one. Served from the same cache entries as pre-warm,
+// as application/liquid (rendered inside the theme layout) or with
+// ?format=html as a standalone document
+const APP_PROXY_SECRET = config.shopify.appProxySecret;
+const APP_PROXY_MAX_AGE_SEC = config.shopify.appProxyMaxAgeSec;
+const readCityManifest = createCityManifestReader(PREWARM_MANIFEST_PATH, CITY_MANIFEST_SCHEMA);
+
+const APP_PROXY_SCHEMA = {
+  shop: { type: 'string', min: 1, max: 255, required: true },
+  format: { type: 'string', enum: ['liquid', 'html'], default: 'liquid' }
+};
+
+// Checked before the query is validated, so unsigned requests learn nothing
+function verifyAppProxy(req, res, next) {
+  if (!APP_PROXY_SECRET) {
+    logger.error('App proxy request received but SHOPIFY_APP_PROXY_SECRET is not set');
+    return sendError(res, 503, 'not_configured', 'App proxy verification not configured');
+  }
+
+  const queryStart = req.originalUrl.indexOf('?');
+  const queryString = queryStart === -1 ? '' : req.originalUrl.slice(queryStart + 1);
+  if (!verifyAppProxySignature(queryString, APP_PROXY_SECRET)) {
+    logger.warn('App proxy request rejected - invalid signature', { path: req.path });
+    return sendError(res, 401, 'invalid_signature', 'Invalid app proxy signature');
+  }
+
+  if (!isAppProxyTimestampFresh(req.query.timestamp, APP_PROXY_MAX_AGE_SEC)) {
+    logger.warn('App proxy request rejected - stale timestamp', { path: req.path, timestamp: req.query.timestamp });
+    return sendError(res, 401, 'expired_signature', 'App proxy request has expired');
+  }
+
+  next();
+}
+
+function findProxyCity(cities, handle, shop) {
+  cities = cities.filter(city => city.collectionHandle === handle);
+  return cities.find(city => city.shop === shop) || cities.find(city => !city.shop);
+}
+
+// Verified first: the shop parameter is only trustworthy once the signature checks out
+app.get('/proxy/collections/:handle', verifyAppProxy, limitRate('proxy', { getKey: req => String(req.query.shop) }), validateRequest(APP_PROXY_SCHEMA, 'query'), async (req, res) => {
+  try {
+    const { shop, format } = req.validated;
+    const handle = req.params.handle;
+
+    const cities = readCityManifest();
+    if (!cities) {
+      logger.error('App proxy request received but the city manifest is missing', { manifestPath: PREWARM_MANIFEST_PATH });
+      return sendError(res, 503, 'not_configured', 'No city manifest configured');
+    }
+
+    const city = isValidHandle(handle) ? findProxyCity(cities, handle, shop) : undefined;
+    if (!city) {
+      return sendError(res, 404, 'not_found', `No city is mapped to collection "${handle}"`);
+    }
+
+    const spec = getManifestCollectionSpec(city);
+    const cacheKey = getCollectionCacheKey(spec);
+
+    const { entry, status, error } = await cacheLoader.load(cacheKey, 'ssr-collection', () => {
+      return buildCollectionEntry(spec);
     });
+    const degradedInfo = getDegradedInfo(status, error, spec.index);
+
+    logger.info('App proxy collection', { shop, handle, city: spec.cityName, format, cache: status });
+
+    res.set('X-Cache', status.toUpperCase());
+    if (degradedInfo.degraded) {
+      res.set({ 'Cache-Control': 'no-cache', 'X-Degraded': degradedInfo.degradedReason });
+    }
+
+    if (format === 'liquid') {
+      return res.type('application/liquid').send(escapeLiquid(entry.data));
+    }
+
+    res.type('html').send(templates.render('page', {
+      locale: spec.locale,
+      title: translate(spec.locale, 'collection.pageTitle', { city: spec.cityName }),
+      preload: entry.preload,
+      contentHTML: entry.data
+    }));
+
+  } catch (error) {
+    logger.error('App proxy request failed', { error });
+    if (error.degradedReason) {
+      return sendSearchUnavailable(res, error);
+    }
+    sendError(res, 500, 'internal_error', 'App proxy request failed');
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Algolia cache server running on port ${PORT}`);
-  console.log(`📊 Cache initialized - persistent storage enabled`);
-  console.log(`🏗️ SSR pre-rendering enabled for fast LCP`);
+// Prometheus scrape endpoint - admin token (Bearer) unless METRICS_PUBLIC is set
+const metricsAuth = config.security.metricsPublic
+  ? (req, res, next) => next()
+  : adminAuth.requireAdmin;
+
+app.get('/metrics', limitRate('admin'), metricsAuth, async (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await metrics.render());
+  } catch (error) {
+    logger.error('Metrics rendering failed', { error });
+    sendError(res, 500, 'internal_error', 'Metrics rendering failed');
+  }
 });
 
+// Batch collection jobs - (re)build many city pages in one call instead of one
+// blocking request each. Jobs run in the background with bounded concurrency;
+// their status shows every item's state, timing and product count
+const BATCH_SCHEMA = {
+  items: { type: 'array', min: 1, max: config.batch.maxItems, items: { type: 'object' }, required: true },
+  forceRegenerate: { type: 'boolean', default: false },
+  concurrency: { type: 'integer', min: 1, max: 10, default: config.batch.concurrency }
+};
+
+async function generateBatchCollection(spec, jobOptions) {
+  const cacheKey = getCollectionCacheKey(spec);
+  const { entry, status, error } = await cacheLoader.load(cacheKey, 'ssr-collection', () => {
+    return buildCollectionEntry(spec);
+  }, { force: jobOptions.forceRegenerate });
+
+  // A rebuild that fell back to the old entry didn't regenerate anything
+  if (status === 'fallback') {
+    throw error;
+  }
+
+  return { products: entry.stats.products, cached: status === 'hit' || status === 'stale' };
+}
+
+const batchJobs = createBatchJobs({
+  runItem: generateBatchCollection,
+  concurrency: config.batch.concurrency,
+  maxJobs: config.batch.maxJobs,
+  describeItem: spec => ({ cityName: spec.cityName, collectionHandle: spec.collectionHandle || null })
+});
+
+function sendJobError(res, error) {
+  switch (error.code) {
+    case 'JOB_NOT_FOUND':
+      return sendError(res, 404, 'not_found', error.message);
+    case 'JOB_FINISHED':
+      return sendError(res, 409, 'job_finished', error.message);
+    case 'JOB_ACTIVE':
+      return sendError(res, 409, 'job_active', error.message);
+    case 'NOTHING_TO_RETRY':
+      return sendError(res, 409, 'nothing_to_retry', error.message);
+    default:
+      logger.error('Batch job request failed', { error });
+      return sendError(res, 500, 'internal_error', 'Batch job request failed');
+  }
+}
+
+app.post('/admin/jobs/collections', validateRequest(BATCH_SCHEMA), (req, res) => {
+  const { items, forceRegenerate, concurrency } = req.validated;
+
+  // Every item must be a valid collection request; report all problems at once
+  const specs = [];
+  const details = [];
+  items.forEach(function(item, index) {
+    const { value, errors } = validate(COLLECTION_SCHEMA, item);
+    errors.forEach(error => details.push({ ...error, field: `items[${index}].${error.field}` }));
+    specs.push(getCollectionSpec(value));
+  });
+  if (details.length > 0) {
+    return sendError(res, 400, 'validation_failed', 'Request validation failed', { details });
+  }
+
+  const job = batchJobs.create(specs, { forceRegenerate, concurrency });
+  res.status(202).location(`/admin/jobs/${job.id}`).json(job);
+});
+
+app.get('/admin/jobs', (req, res) => {
+  res.json({ ...batchJobs.stats(), jobs: batchJobs.list() });
+});
+
+app.get('/admin/jobs/:id', (req, res) => {
+  try {
+    res.json(batchJobs.get(req.params.id));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// Queued items are cancelled; items already running finish
+app.post('/admin/jobs/:id/cancel', (req, res) => {
+  try {
+    res.json(batchJobs.cancel(req.params.id));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// Queue the failed and cancelled items of a finished job again
+app.post('/admin/jobs/:id/retry', (req, res) => {
+  try {
+    res.status(202).json(batchJobs.retry(req.params.id));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+// Unknown routes and anything thrown outside the handlers (e.g. malformed
+// JSON bodies) get the same error format as the endpoints
+app.use((req, res) => {
+  sendError(res, 404, 'not_found', `No route for ${req.method} ${req.path}`);
+});
+
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid_json', 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, 'payload_too_large', 'Request body is too large');
+  }
+
+  logger.error('Unhandled error', { error });
+  sendError(res, 500, 'internal_error', 'Internal server error');
+});
+
+// Start server - only when run directly; the tests require the app and
+// listen on a port of their own
+function start() {
+  const server = app.listen(PORT, () => {
+    logger.info('Algolia cache server running', {
+      port: PORT,
+      env: config.env,
+      cacheBackend: cache.backend,
+      searchProvider: config.search.simulateFailure ? `simulated-${config.search.simulateFailure}` : searchProvider.name
+    });
+
+    if (!adminAuth.configured) {
+      logger.warn('ADMIN_TOKENS not set - admin routes, /metrics, forceRegenerate and debug are disabled');
+    }
+
+    if (config.prewarm.enabled && fs.existsSync(PREWARM_MANIFEST_PATH)) {
+      prewarmer.start();
+    } else {
+      logger.info('Pre-warming disabled', { manifestPath: PREWARM_MANIFEST_PATH });
+    }
+  });
+
+  // Flush the cache store on shutdown (Render sends SIGTERM on every deploy)
+  function shutdown(signal) {
+    logger.info('Shutting down - flushing cache', { signal, cacheBackend: cache.backend });
+    server.close();
+    prewarmer.stop();
+    cache.close()
+      .catch(error => logger.error('Cache flush failed', { error }))
+      .finally(() => process.exit(0));
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+if (require.main === module) {
+  start();
+}
+
 module.exports = app;
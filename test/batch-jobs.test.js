@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBatchJobs } = require('../lib/batch-jobs');
+const { logger } = require('../lib/logger');
+
+logger.setLevel('silent');
+
+// runItem whose calls stay pending until released, to observe in-flight state
+function createControlledRunner() {
+  const pending = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  return {
+    runItem(spec) {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      return new Promise((resolve, reject) => pending.push({ spec, resolve, reject })).finally(() => inFlight--);
+    },
+    async settleNext(error) {
+      const call = pending.shift();
+      if (error) call.reject(error);
+      else call.resolve({ products: call.spec.products });
+      await new Promise(resolve => setImmediate(resolve));
+    },
+    get maxInFlight() {
+      return maxInFlight;
+    }
+  };
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.ok(check());
+}
+
+test('runs items with bounded concurrency and records results per item', async () => {
+  const runner = createControlledRunner();
+  const jobs = createBatchJobs({ runItem: runner.runItem, concurrency: 2 });
+  const { id } = jobs.create([{ products: 3 }, { products: 4 }, { products: 5 }]);
+
+  assert.deepEqual(jobs.get(id).counts, { queued: 1, running: 2, done: 0, failed: 0, cancelled: 0 });
+
+  await runner.settleNext();
+  await runner.settleNext(new Error('Algolia timed out'));
+  await runner.settleNext();
+  await waitFor(() => jobs.get(id).state === 'completed');
+
+  const job = jobs.get(id);
+  assert.equal(runner.maxInFlight, 2);
+  assert.deepEqual(job.items.map(item => item.state), ['done', 'failed', 'done']);
+  assert.deepEqual(job.items.map(item => item.products), [3, null, 5]);
+  assert.equal(job.items[1].error, 'Algolia timed out');
+  assert.ok(job.items.every(item => item.durationMs >= 0 && item.attempts === 1));
+});
+
+test('cancel skips queued items, retry runs failed and cancelled ones again', async () => {
+  const runner = createControlledRunner();
+  const jobs = createBatchJobs({ runItem: runner.runItem, concurrency: 1 });
+  const { id } = jobs.create([{ products: 1 }, { products: 2 }, { products: 3 }]);
+
+  assert.throws(() => jobs.retry(id), error => error.code === 'JOB_ACTIVE');
+  jobs.cancel(id);
+  await runner.settleNext(new Error('boom'));
+  await waitFor(() => jobs.get(id).state === 'cancelled');
+  assert.deepEqual(jobs.get(id).items.map(item => item.state), ['failed', 'cancelled', 'cancelled']);
+  assert.throws(() => jobs.cancel(id), error => error.code === 'JOB_FINISHED');
+
+  jobs.retry(id);
+  await runner.settleNext();
+  await runner.settleNext();
+  await runner.settleNext();
+  await waitFor(() => jobs.get(id).state === 'completed');
+
+  const job = jobs.get(id);
+  assert.deepEqual(job.items.map(item => item.state), ['done', 'done', 'done']);
+  assert.equal(job.items[0].attempts, 2);
+  assert.equal(job.items[0].error, null);
+  assert.throws(() => jobs.retry(id), error => error.code === 'NOTHING_TO_RETRY');
+});
+
+test('jobs run one after another; a queued job can be cancelled outright', async () => {
+  const runner = createControlledRunner();
+  const jobs = createBatchJobs({ runItem: runner.runItem, concurrency: 4 });
+  const first = jobs.create([{ products: 1 }]);
+  const second = jobs.create([{ products: 2 }]);
+  const third = jobs.create([{ products: 3 }]);
+
+  assert.equal(jobs.get(second.id).state, 'queued');
+  assert.equal(jobs.cancel(third.id).state, 'cancelled');
+  assert.deepEqual(jobs.stats(), { retained: 3, queued: 1, running: 1 });
+
+  await runner.settleNext();
+  await waitFor(() => jobs.get(second.id).state === 'running');
+  await runner.settleNext();
+  await waitFor(() => jobs.get(second.id).state === 'completed');
+
+  assert.equal(jobs.get(first.id).state, 'completed');
+  assert.deepEqual(jobs.list().map(job => job.id), [third.id, second.id, first.id]);
+  assert.throws(() => jobs.get('missing'), error => error.code === 'JOB_NOT_FOUND');
+});
+
+test('only the most recent finished jobs are kept', async () => {
+  const jobs = createBatchJobs({ runItem: async () => ({ products: 0 }), maxJobs: 2 });
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    ids.push(jobs.create([{}]).id);
+    await waitFor(() => jobs.get(ids[i]).state === 'completed');
+  }
+
+  assert.throws(() => jobs.get(ids[0]), error => error.code === 'JOB_NOT_FOUND');
+  assert.equal(jobs.list().length, 2);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createMemoryStore,
+  createFileStore,
+  createKeyValueStore,
+  createLocalKeyValueClient
+} = require('../lib/cache-store');
+const { logger } = require('../lib/logger');
+
+logger.setLevel('silent');
+
+function tempSnapshotPath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-')), 'snapshot.json');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('memory store evicts the least recently used entry past maxEntries', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set('a', { data: 1 });
+  await store.set('b', { data: 2 });
+  await store.get('a');
+  await store.set('c', { data: 3 });
+
+  assert.deepEqual(await store.keys(), ['a', 'c']);
+  assert.equal(await store.get('b'), undefined);
+  assert.equal((await store.stats()).evictions, 1);
+
+  // peek reads without refreshing the LRU position
+  await store.peek('a');
+  await store.set('d', { data: 4 });
+  assert.deepEqual(await store.keys(), ['c', 'd']);
+});
+
+test('memory store keeps to its byte budget and rejects entries larger than it', async () => {
+  const entry = { data: 'x'.repeat(100) };
+  const bytes = Buffer.byteLength(JSON.stringify(entry));
+  const store = createMemoryStore({ maxBytes: bytes * 2 });
+
+  await store.set('a', entry);
+  await store.set('b', entry);
+  await store.set('c', entry);
+  assert.deepEqual(await store.keys(), ['b', 'c']);
+
+  assert.equal(await store.set('huge', { data: 'x'.repeat(bytes * 3) }), false);
+  const stats = await store.stats();
+  assert.equal(stats.rejected, 1);
+  assert.equal(stats.evictions, 1);
+  assert.ok(stats.bytes <= bytes * 2);
+});
+
+test('memory store expires entries by TTL', async () => {
+  const store = createMemoryStore();
+  await store.set('short', { data: 1 }, { ttlMs: 20 });
+  await store.set('long', { data: 2 }, { ttlMs: 60000 });
+  await sleep(30);
+
+  assert.equal(await store.get('short'), undefined);
+  assert.equal(await store.prune(), 0);
+  assert.deepEqual(await store.get('long'), { data: 2 });
+  assert.equal((await store.stats()).expirations, 1);
+});
+
+test('file store reloads its snapshot in LRU order and skips expired entries', async () => {
+  const filePath = tempSnapshotPath();
+  const first = createFileStore({ filePath });
+  await first.set('old', { data: 'old' });
+  await first.set('expiring', { data: 'gone' }, { ttlMs: 20 });
+  await first.set('new', { data: 'new' });
+  await first.get('old');
+  await first.close();
+  await sleep(30);
+
+  const second = createFileStore({ filePath, maxEntries: 1 });
+  const stats = await second.stats();
+  assert.equal(stats.loadedEntries, 1);
+  // "old" was used last, so it survives the smaller entry cap
+  assert.deepEqual(await second.keys(), ['old']);
+  await second.close();
+});
+
+test('file store writes timed snapshots asynchronously', async () => {
+  const filePath = tempSnapshotPath();
+  const store = createFileStore({ filePath, flushDelayMs: 10 });
+  await store.set('a', { data: 'Köln' });
+
+  for (let i = 0; i < 50 && !fs.existsSync(filePath); i++) {
+    await sleep(10);
+  }
+  const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(snapshot.version, 2);
+  assert.deepEqual(snapshot.entries.map(([key, record]) => [key, record.entry.data]), [['a', 'Köln']]);
+  assert.ok((await store.stats()).lastFlush);
+
+  await store.delete('a');
+  await store.flush();
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries, []);
+  await store.close();
+});
+
+test('key-value store round-trips entries under its prefix and lists them with SCAN', async () => {
+  const client = createLocalKeyValueClient();
+  const store = createKeyValueStore(client, { prefix: 'test:' });
+  const other = createKeyValueStore(client, { prefix: 'other:' });
+
+  await store.set('a', { data: 1 });
+  await store.set('b', { data: 2 }, { ttlMs: 20 });
+  await other.set('a', { data: 'not ours' });
+
+  assert.deepEqual(await store.get('a'), { data: 1 });
+  assert.equal(await client.get('test:a'), JSON.stringify({ data: 1 }));
+  assert.deepEqual((await store.keys()).sort(), ['a', 'b']);
+
+  await sleep(30);
+  assert.equal(await store.get('b'), undefined);
+  assert.deepEqual(await store.keys(), ['a']);
+
+  assert.equal(await store.delete('a'), true);
+  assert.equal(await store.delete('a'), false);
+
+  await store.set('c', { data: 3 });
+  await store.clear();
+  assert.deepEqual(await store.keys(), []);
+  assert.deepEqual(await other.keys(), ['a']);
+
+  const stats = await store.stats();
+  assert.equal(stats.size, null);
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 1);
+});
+
+test('key-value store accepts clients whose SCAN yields batches of keys', async () => {
+  const client = createLocalKeyValueClient();
+  const batched = {
+    ...client,
+    async *scanIterator(scanOptions) {
+      const keys = [];
+      for await (const key of client.scanIterator(scanOptions)) keys.push(key);
+      yield keys;
+      yield keys.slice(0, 1);
+    }
+  };
+  const store = createKeyValueStore(batched, { prefix: 'v5:' });
+  await store.set('a', { data: 1 });
+  await store.set('b', { data: 2 });
+
+  assert.deepEqual((await store.keys()).sort(), ['a', 'b']);
+});
+
+test('partitioned prefixes only evict each other, apart from the shared budget', async () => {
+  const entry = { data: 'x'.repeat(100) };
+  const bytes = Buffer.byteLength(JSON.stringify(entry));
+  const store = createMemoryStore({
+    maxEntries: 2,
+    partitions: { 'map-tile:': { maxBytes: bytes * 2 } }
+  });
+
+  await store.set('ssr-collection:a', entry);
+  await store.set('ssr-collection:b', entry);
+  for (let i = 0; i < 5; i++) {
+    await store.set(`map-tile:${i}`, entry);
+  }
+
+  assert.deepEqual(await store.keys(), ['ssr-collection:a', 'ssr-collection:b', 'map-tile:3', 'map-tile:4']);
+
+  const stats = await store.stats();
+  assert.equal(stats.evictions, 3);
+  assert.deepEqual(stats.partitions['map-tile:'], { entries: 2, bytes: bytes * 2, maxEntries: null, maxBytes: bytes * 2 });
+
+  // The shared entry cap still applies to everything else
+  await store.set('nearby:c', entry);
+  assert.deepEqual(await store.keys(), ['ssr-collection:b', 'map-tile:3', 'map-tile:4', 'nearby:c']);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { loadConfig } = require('../lib/config');
+const { FIXTURES_PATH } = require('./helpers');
+
+// An empty rootDir so a local config/config.json can't leak into the results
+function load(env) {
+  return loadConfig({
+    rootDir: os.tmpdir(),
+    env: { SEARCH_PROVIDER: 'local', SEARCH_FIXTURES_PATH: FIXTURES_PATH, ...env }
+  });
+}
+
+test('cross-origin access is off unless origins are configured', () => {
+  assert.deepEqual(load({}).security.corsOrigins, []);
+  assert.deepEqual(load({ CORS_ORIGINS: 'https://*.example.com' }).security.corsOrigins, ['https://*.example.com']);
+});
+
+test('production refuses a wildcard CORS origin', () => {
+  assert.throws(() => load({ NODE_ENV: 'production', CORS_ORIGINS: '*' }), /CORS_ORIGINS/);
+  assert.doesNotThrow(() => load({ NODE_ENV: 'production', CORS_ORIGINS: 'https://shop.example.com' }));
+});
+
+test('coordinate bucketing precision is capped per mode', () => {
+  assert.equal(load({ CACHE_COORD_BUCKETING: 'grid', CACHE_COORD_PRECISION: '8' }).cache.coordinateBucketing.precision, 8);
+  assert.throws(() => load({ CACHE_COORD_BUCKETING: 'grid', CACHE_COORD_PRECISION: '101' }), /at most 8 for grid/);
+  assert.throws(() => load({ CACHE_COORD_BUCKETING: 'geohash', CACHE_COORD_PRECISION: '13' }), /at most 12 for geohash/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { MAX_CURSOR_LENGTH, encodeCursor, decodeCursor } = require('../lib/cursor');
+
+// Hashes keep deflate from shrinking the keys away
+const key = i => crypto.createHash('sha1').update(String(i)).digest('hex');
+
+test('cursors round-trip the search position and dedup state', () => {
+  const payload = {
+    fingerprint: 'abc',
+    page: 2,
+    radiusKm: 30,
+    state: { shownArtworks: ['a', 'b'], groupCounts: { 'loc:1': 2 }, lastGroupKey: 'loc:1' }
+  };
+
+  assert.deepEqual(decodeCursor(encodeCursor(payload)), payload);
+});
+
+test('deep pagination state is trimmed to the newest entries so the cursor stays valid', () => {
+  const shownArtworks = Array.from({ length: 5000 }, (_, i) => key(i));
+  const groupCounts = Object.fromEntries(Array.from({ length: 5000 }, (_, i) => [`loc:${key(i)}`, 1]));
+
+  const cursor = encodeCursor({
+    fingerprint: 'abc',
+    page: 200,
+    radiusKm: null,
+    state: { shownArtworks, groupCounts, lastGroupKey: null }
+  });
+  assert.ok(cursor.length <= MAX_CURSOR_LENGTH);
+
+  const { state } = decodeCursor(cursor);
+  assert.ok(state.shownArtworks.length > 0 && state.shownArtworks.length <= 500);
+  assert.deepEqual(state.shownArtworks, shownArtworks.slice(-state.shownArtworks.length));
+  assert.equal(Object.keys(state.groupCounts).pop(), `loc:${key(4999)}`);
+});
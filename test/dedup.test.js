@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDedupConfig, runDedupPipeline } = require('../lib/dedup');
+
+function product(handle, fields = {}) {
+  const { lat = 50.94, lng = 6.96, photo = `photo-${handle}`, featured = 'no', ...rest } = fields;
+  return {
+    handle,
+    title: rest.title || handle,
+    vendor: rest.vendor || 'Anna Schmidt',
+    meta: {
+      featured,
+      location: { details: { latitude: lat, longitude: lng, location_photo: photo } }
+    },
+    ...rest
+  };
+}
+
+function run(hits, preset, overrides, options = {}) {
+  return runDedupPipeline(hits, resolveDedupConfig(preset, overrides), options);
+}
+
+const handles = result => result.hits.map(hit => hit.handle);
+
+test('nearby: collapses size/medium variants onto their base handle', () => {
+  const result = run([
+    product('koelner-dom', { lat: 50.1 }),
+    product('koelner-dom-print', { lat: 50.2 }),
+    product('rheinauhafen', { lat: 50.3 })
+  ], 'nearby', {}, { explain: true });
+
+  assert.deepEqual(handles(result), ['koelner-dom', 'rheinauhafen']);
+  assert.equal(result.dropped[0].handle, 'koelner-dom-print');
+  assert.equal(result.dropped[0].rule, 'variantCollapse');
+});
+
+test('variantSuffixes overrides which handle suffixes count as variants', () => {
+  const hits = [
+    product('koelner-dom', { lat: 50.1 }),
+    product('koelner-dom-giclee', { lat: 50.2 }),
+    product('koelner-dom-print', { lat: 50.3 })
+  ];
+
+  assert.deepEqual(handles(run(hits, 'nearby', {})), ['koelner-dom', 'koelner-dom-giclee']);
+  assert.deepEqual(handles(run(hits, 'nearby', { variantSuffixes: ['-giclee'] })), ['koelner-dom', 'koelner-dom-print']);
+  assert.throws(() => resolveDedupConfig('nearby', { variantSuffixes: ['giclee'] }), /Invalid value for dedup option variantSuffixes/);
+  assert.throws(() => resolveDedupConfig('nearby', { variantSuffixes: '-giclee' }), /Invalid value/);
+});
+
+test('nearby: drops near-identical titles (umlauts folded, artist suffix ignored)', () => {
+  const result = run([
+    product('a', { title: 'Kölner Dom im Abendlicht', lat: 50.1 }),
+    product('b', { title: 'Koelner Dom im Abendlicht - Anna Schmidt', lat: 50.2 }),
+    product('c', { title: 'Rheinauhafen im Nebel', lat: 50.3 })
+  ], 'nearby', {}, { explain: true });
+
+  assert.deepEqual(handles(result), ['a', 'c']);
+  assert.equal(result.dropped[0].rule, 'titleSimilarity');
+  assert.ok(result.dropped[0].score >= 0.8);
+});
+
+test('nearby: caps products per location and never places a location twice in a row', () => {
+  const hits = [
+    product('dom-1'), product('dom-2'), product('dom-3'),
+    product('hafen-1', { lat: 50.92 }), product('hafen-2', { lat: 50.92 })
+  ];
+  const result = run(hits, 'nearby', {}, { explain: true });
+
+  assert.equal(result.hits.filter(hit => hit.handle.startsWith('dom')).length, 2);
+  assert.deepEqual(result.dropped.map(drop => [drop.handle, drop.rule]), [['dom-3', 'maxPerGroup']]);
+  result.hits.slice(1).forEach((hit, index) => {
+    assert.notEqual(hit.meta.location.details.latitude, result.hits[index].meta.location.details.latitude);
+  });
+});
+
+test('nearby: request overrides replace preset rules', () => {
+  const hits = [product('dom-1'), product('dom-2'), product('dom-3')];
+  assert.equal(run(hits, 'nearby', { maxPerGroup: 3, avoidAdjacent: false }).hits.length, 3);
+  assert.throws(() => resolveDedupConfig('nearby', { maxPerGroup: 'lots' }));
+  assert.throws(() => resolveDedupConfig('nearby', { unknownRule: true }), /Unknown dedup option/);
+});
+
+test('nearby: state carries shown artworks and group counts across pages', () => {
+  const first = run([product('dom-1'), product('hafen-1', { lat: 50.92 })], 'nearby', {}, { maxResults: 2 });
+  const second = run([
+    product('dom-1'), product('dom-2'), product('dom-3'), product('altstadt', { lat: 50.93 })
+  ], 'nearby', {}, { state: first.state, explain: true });
+
+  assert.deepEqual(handles(second).sort(), ['altstadt', 'dom-2']);
+  assert.ok(second.dropped.some(drop => drop.handle === 'dom-1' && drop.rule === 'previousPage'));
+  assert.ok(second.dropped.some(drop => drop.handle === 'dom-3' && drop.rule === 'maxPerGroup'));
+});
+
+test('collection: groups by location photo and puts featured products first', () => {
+  const result = run([
+    product('a', { photo: 'dom' }),
+    product('b', { photo: 'dom' }),
+    product('c', { photo: 'dom' }),
+    product('d', { photo: 'hafen', featured: 'yes' })
+  ], 'collection', {}, { maxResults: 8 });
+
+  assert.equal(result.hits[0].handle, 'd');
+  assert.equal(result.hits.filter(hit => hit.meta.location.details.location_photo === 'dom').length, 2);
+});
+
+test('collection: maxResults truncates and reports it', () => {
+  const hits = ['a', 'b', 'c', 'd'].map(handle => product(handle, { photo: handle }));
+  const result = run(hits, 'collection', {}, { maxResults: 2, explain: true });
+
+  assert.equal(result.hits.length, 2);
+  assert.equal(result.truncated, true);
+  assert.ok(result.dropped.every(drop => drop.rule === 'maxResults'));
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createResilientIndex, createFailingIndex } = require('../lib/search-client');
+const { createCacheLoader } = require('../lib/cache-loader');
+const { createCacheStore } = require('../lib/cache-store');
+const { logger } = require('../lib/logger');
+
+logger.setLevel('silent');
+
+const OPTIONS = { timeoutMs: 50, retries: 1, retryBaseMs: 1, failureThreshold: 2, resetTimeoutMs: 60000 };
+
+test('failing searches are retried, then open the circuit', async () => {
+  const index = createResilientIndex(createFailingIndex('error'), OPTIONS);
+
+  await assert.rejects(index.search('', {}), error => error.degradedReason === 'search_error');
+  assert.equal(index.state(), 'open');
+  assert.equal(index.stats().retries, 1);
+
+  // Open circuit fails fast without touching the backend
+  await assert.rejects(index.search('', {}), error => error.code === 'CIRCUIT_OPEN' && error.degradedReason === 'circuit_open');
+  assert.equal(index.stats().rejected, 1);
+});
+
+test('a backend that never answers times out', async () => {
+  const index = createResilientIndex(createFailingIndex('timeout'), { ...OPTIONS, retries: 0 });
+
+  await assert.rejects(index.search('', {}), error => error.degradedReason === 'search_timeout');
+  assert.equal(index.stats().timeouts, 1);
+});
+
+test('4xx errors are not retried', async () => {
+  const backend = { search: () => Promise.reject(Object.assign(new Error('Invalid filters'), { status: 400 })) };
+  const index = createResilientIndex(backend, OPTIONS);
+
+  await assert.rejects(index.search('', {}), /Invalid filters/);
+  assert.equal(index.stats().retries, 0);
+});
+
+test('the cache loader serves the last known entry when a rebuild fails', async () => {
+  const cache = createCacheStore({ backend: 'memory' });
+  const statuses = [];
+  const loader = createCacheLoader(cache, {
+    ttls: { nearby: 1000 },
+    staleTtls: { nearby: 0 },
+    onLoad: (type, status) => statuses.push(status)
+  });
+
+  await loader.load('key', 'nearby', async () => ({ data: 'first', timestamp: Date.now() }));
+  const { entry, status, error } = await loader.load('key', 'nearby', () => {
+    return Promise.reject(Object.assign(new Error('down'), { degradedReason: 'search_error' }));
+  }, { force: true });
+
+  assert.equal(status, 'fallback');
+  assert.equal(entry.data, 'first');
+  assert.equal(error.degradedReason, 'search_error');
+
+  await assert.rejects(loader.load('missing', 'nearby', () => Promise.reject(new Error('down'))));
+  assert.deepEqual(statuses, ['miss', 'fallback', 'error']);
+  await cache.close();
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRadiusSteps, searchWithRadiusExpansion } = require('../lib/distance');
+
+test('getRadiusSteps doubles up to maxRadiusKm with the defaults', () => {
+  assert.deepEqual(getRadiusSteps(30, { maxRadiusKm: 120, factor: 2 }), [30, 60, 120]);
+  assert.deepEqual(getRadiusSteps(30, { maxRadiusKm: 100, factor: 2 }), [30, 60, 100]);
+  assert.deepEqual(getRadiusSteps(30, { maxRadiusKm: 10 }), [30]);
+});
+
+test('getRadiusSteps never exceeds maxSteps and still ends at maxRadiusKm', () => {
+  const steps = getRadiusSteps(0.1, { maxRadiusKm: 500, factor: 2, maxSteps: 3 });
+
+  assert.equal(steps.length, 3);
+  assert.equal(steps[0], 0.1);
+  assert.equal(steps[2], 500);
+  assert.ok(steps[1] > 0.1 && steps[1] < 500);
+
+  assert.deepEqual(getRadiusSteps(30, { maxRadiusKm: 500, maxSteps: 1 }), [30]);
+  // A cap the factor never reaches changes nothing
+  assert.deepEqual(getRadiusSteps(30, { maxRadiusKm: 120, factor: 2, maxSteps: 5 }), [30, 60, 120]);
+});
+
+test('searchWithRadiusExpansion stops widening once canWiden() is false', async () => {
+  let remaining = 2;
+  const outcome = await searchWithRadiusExpansion(async radiusKm => {
+    remaining--;
+    return { results: [], radiusKm };
+  }, {
+    radiusKm: 10,
+    minResults: 5,
+    maxRadiusKm: 80,
+    factor: 2,
+    canWiden: () => remaining > 0
+  });
+
+  assert.deepEqual(outcome.radiiTried, [10, 20]);
+  assert.equal(outcome.effectiveRadiusKm, 20);
+});
@@ -0,0 +1,60 @@
+// test/helpers.js - Boots server.js against the local fixture index
+//
+// node --test runs every test file in its own process, so each file gets a
+// fresh server (and cache) configured by the env passed to startServer.
+const path = require('path');
+
+const FIXTURES_PATH = path.join(__dirname, '..', 'fixtures', 'products.json');
+const ADMIN_TOKEN = 'test-admin-token';
+
+const TEST_ENV = {
+  SEARCH_PROVIDER: 'local',
+  SEARCH_FIXTURES_PATH: FIXTURES_PATH,
+  CACHE_BACKEND: 'memory',
+  ADMIN_TOKENS: ADMIN_TOKEN,
+  RATE_LIMIT_ENABLED: 'false',
+  PREWARM_ENABLED: 'false',
+  LOG_LEVEL: 'silent'
+};
+
+async function startServer(env = {}) {
+  Object.assign(process.env, TEST_ENV, env);
+  const app = require('../server');
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // -> { status, headers, body } with JSON bodies parsed. options.rawBody is
+  // sent as-is, for requests signed over the exact bytes
+  async function request(method, urlPath, options = {}) {
+    const headers = { ...options.headers };
+    if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+    if (options.admin) headers.Authorization = `Bearer ${ADMIN_TOKEN}`;
+
+    const response = await fetch(baseUrl + urlPath, {
+      method,
+      headers,
+      body: options.rawBody !== undefined ? options.rawBody : options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  return {
+    baseUrl,
+    request,
+    post: (urlPath, body, options) => request('POST', urlPath, { ...options, body }),
+    get: (urlPath, options) => request('GET', urlPath, options),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  FIXTURES_PATH,
+  ADMIN_TOKEN,
+  startServer
+};
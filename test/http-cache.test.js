@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const {
+  getContentHash,
+  getStrongEtag,
+  negotiateEncoding,
+  getCacheControl,
+  createCompressionCache
+} = require('../lib/http-cache');
+
+test('negotiates brotli over gzip and honours q-values', () => {
+  assert.equal(negotiateEncoding('gzip, deflate, br'), 'br');
+  assert.equal(negotiateEncoding('gzip;q=1, br;q=0.5'), 'gzip');
+  assert.equal(negotiateEncoding('br;q=0, gzip'), 'gzip');
+  assert.equal(negotiateEncoding('*'), 'br');
+  assert.equal(negotiateEncoding('*;q=0, identity'), null);
+  assert.equal(negotiateEncoding('deflate'), null);
+  assert.equal(negotiateEncoding(undefined), null);
+  assert.equal(negotiateEncoding('br', 100), null);
+});
+
+test('strong ETags change with content and differ per encoding', () => {
+  const hash = getContentHash('<div>Köln</div>');
+
+  assert.equal(hash, getContentHash('<div>Köln</div>'));
+  assert.notEqual(hash, getContentHash('<div>Berlin</div>'));
+  assert.equal(getStrongEtag(hash), `"${hash}"`);
+  assert.equal(getStrongEtag(hash, 'br'), `"${hash}-br"`);
+});
+
+test('Cache-Control follows the remaining server TTL, capped, with the stale window', () => {
+  const hour = 60 * 60 * 1000;
+
+  assert.equal(
+    getCacheControl({ remainingMs: 2 * hour, staleMs: 24 * hour, maxAgeCapSec: 300 }),
+    'public, max-age=300, stale-while-revalidate=86400, stale-if-error=86400'
+  );
+  assert.equal(
+    getCacheControl({ remainingMs: 90 * 1000, staleMs: 0, maxAgeCapSec: 300 }),
+    'public, max-age=90, stale-while-revalidate=0, stale-if-error=0'
+  );
+  assert.match(getCacheControl({ remainingMs: -5000, staleMs: hour, maxAgeCapSec: 300 }), /max-age=0,/);
+});
+
+test('compressed bodies round-trip and are reused per hash and encoding', async () => {
+  const cache = createCompressionCache({ maxEntries: 1 });
+  const html = '<div class="card">Kölner Dom</div>'.repeat(100);
+  const hash = getContentHash(html);
+
+  const br = await cache.encode(hash, html, 'br');
+  assert.equal(zlib.brotliDecompressSync(br.body).toString(), html);
+  assert.ok(br.body.length < Buffer.byteLength(html));
+
+  const again = await cache.encode(hash, html, 'br');
+  assert.equal(again.body, br.body);
+
+  const gzip = await cache.encode(hash, html, 'gzip');
+  assert.equal(zlib.gunzipSync(gzip.body).toString(), html);
+  assert.deepEqual(cache.stats(), { entries: 1, maxEntries: 1, hits: 1, misses: 2 });
+
+  const identity = await cache.encode(hash, html, null);
+  assert.equal(identity.encoding, null);
+  assert.equal(identity.body.toString(), html);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLocalIndex, parseFilterExpression } = require('../lib/local-index');
+const { createLocalProvider } = require('../lib/search-provider');
+const { compileFilters, parseFilters } = require('../lib/filters');
+const { FIXTURES_PATH } = require('./helpers');
+
+const KOELN = '50.9413,6.9583';
+const index = createLocalProvider({ fixturesPath: FIXTURES_PATH }).initIndex('shopify_products');
+
+test('aroundLatLng/aroundRadius keeps products inside the radius, nearest first', async () => {
+  const response = await index.search('', { aroundLatLng: KOELN, aroundRadius: 5000, getRankingInfo: true });
+
+  assert.ok(response.nbHits > 0);
+  assert.ok(response.hits.every(hit => hit._rankingInfo.geoDistance <= 5000));
+  const distances = response.hits.map(hit => hit._rankingInfo.geoDistance);
+  assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+  assert.ok(!response.hits.some(hit => hit.handle === 'beethoven-in-bonn'));
+
+  const wider = await index.search('', { aroundLatLng: KOELN, aroundRadius: 50000 });
+  assert.ok(wider.hits.some(hit => hit.handle === 'beethoven-in-bonn'));
+});
+
+test('insideBoundingBox keeps products inside any of the boxes', async () => {
+  // Around Köln, corners in either order
+  const koeln = await index.search('', { insideBoundingBox: [[51.0, 7.05, 50.85, 6.85]] });
+  assert.ok(koeln.nbHits > 0);
+  assert.ok(koeln.hits.every(hit => hit._geoloc.lat > 50.85 && hit._geoloc.lng < 7.05));
+  assert.ok(!koeln.hits.some(hit => hit.handle === 'beethoven-in-bonn'));
+
+  const both = await index.search('', { insideBoundingBox: '50.85,6.85,51.0,7.05,50.7,7.05,50.75,7.15' });
+  assert.ok(both.hits.some(hit => hit.handle === 'beethoven-in-bonn'));
+  assert.equal(both.nbHits, koeln.nbHits + 1);
+
+  await assert.rejects(index.search('', { insideBoundingBox: [[51.0, 7.05]] }), /Invalid insideBoundingBox/);
+});
+
+test('hitsPerPage and page slice results and report nbHits / nbPages', async () => {
+  const first = await index.search('', { hitsPerPage: 5 });
+  const second = await index.search('', { hitsPerPage: 5, page: 1 });
+
+  assert.equal(first.hits.length, 5);
+  assert.equal(first.nbPages, Math.ceil(first.nbHits / 5));
+  assert.equal(second.page, 1);
+  assert.ok(!second.hits.some(hit => first.hits.some(other => other.objectID === hit.objectID)));
+});
+
+test('evaluates the filter strings compiled from structured filters', async () => {
+  const filters = compileFilters(parseFilters({
+    vendors: ['Anna Schmidt', 'Mia Wagner'],
+    medium: 'print',
+    priceMax: 30
+  }), { excludeHandles: ['liebesschloesser'] });
+
+  const response = await index.search('', { filters, hitsPerPage: 100 });
+
+  assert.deepEqual(response.hits.map(hit => hit.handle), ['koelner-dom-im-abendlicht-print']);
+});
+
+test('filter expressions support NOT, OR, parentheses and escaped quotes', () => {
+  const matches = parseFilterExpression('(vendor:"Say \\"Hi\\"" OR meta.featured:yes) AND NOT price >= 50');
+
+  assert.equal(matches({ vendor: 'Say "Hi"', price: 10 }), true);
+  assert.equal(matches({ vendor: 'Other', meta: { featured: 'yes' }, price: 10 }), true);
+  assert.equal(matches({ vendor: 'Say "Hi"', price: 50 }), false);
+  assert.throws(() => parseFilterExpression('price >= cheap'), error => error.status === 400);
+  assert.throws(() => parseFilterExpression('(vendor:"a"'), error => error.status === 400);
+});
+
+test('attributesToRetrieve picks nested paths and hits are copies', async () => {
+  const response = await index.search('', {
+    hitsPerPage: 1,
+    attributesToRetrieve: ['title', 'meta.location.details']
+  });
+  const [hit] = response.hits;
+
+  assert.deepEqual(Object.keys(hit).sort(), ['meta', 'objectID', 'title']);
+  assert.ok(hit.meta.location.details.location_photo);
+
+  hit.title = 'changed';
+  const again = await index.search('', { hitsPerPage: 1 });
+  assert.notEqual(again.hits[0].title, 'changed');
+});
+
+test('per-index fixtures and query matching', async () => {
+  const provider = createLocalProvider({
+    products: { de: [{ id: 1, title: 'Kölner Dom', vendor: 'Anna' }], en: [{ id: 2, title: 'Cologne Cathedral' }] }
+  });
+
+  assert.equal((await provider.initIndex('en').search('cathedral')).nbHits, 1);
+  assert.equal((await provider.initIndex('de').search('cathedral')).nbHits, 0);
+  assert.throws(() => provider.initIndex('fr'), /no products for index "fr"/);
+  assert.equal((await createLocalIndex([]).search('')).nbPages, 0);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getTileBounds, getTileRange, listTiles, clusterTile } = require('../lib/map-tiles');
+
+function hit(id, lat, lng, featured = 'no') {
+  return { id, handle: `art-${id}`, title: `Art ${id}`, product_image: `https://cdn.shopify.com/art-${id}.jpg`, _geoloc: { lat, lng }, meta: { featured } };
+}
+
+test('tile ranges cover the bbox and tile bounds line up with them', () => {
+  // Köln at zoom 10 spans two tiles in each direction
+  const range = getTileRange([6.8, 50.85, 7.2, 51.0], 10);
+  assert.deepEqual(range, { zoom: 10, minX: 531, maxX: 532, minY: 342, maxY: 343, count: 4 });
+  assert.deepEqual(listTiles(range).map(tile => `${tile.x}/${tile.y}`), ['531/342', '532/342', '531/343', '532/343']);
+
+  const bounds = getTileBounds({ z: 10, x: 531, y: 343 });
+  assert.ok(bounds.west <= 6.8 && bounds.east > 6.8 && bounds.east < 7.2);
+  assert.ok(bounds.south < 50.85 && bounds.north > 50.85);
+  assert.equal(getTileBounds({ z: 10, x: 532, y: 343 }).west, bounds.east);
+
+  // Clamped to the world at low zoom
+  assert.equal(getTileRange([-180, -90, 180, 90], 0).count, 1);
+});
+
+test('products sharing a grid cell become one cluster with a featured representative', () => {
+  const tile = { z: 10, x: 531, y: 343 };
+  const features = clusterTile([
+    hit(1, 50.9413, 6.9583),
+    hit(2, 50.9420, 6.9590, 'yes'),
+    hit(3, 50.9268, 6.9654),
+    hit(4, 50.9505, 6.9170),
+    hit(5, 50.7374, 7.0982)
+  ], tile, { gridSize: 4, singleProductZoom: 15, thumbnailWidth: 120 });
+
+  const clusters = features.filter(feature => feature.properties.cluster);
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].properties.count, 3);
+  assert.equal(clusters[0].properties.representative.id, 2);
+  assert.equal(clusters[0].properties.representative.thumbnail, 'https://cdn.shopify.com/art-2.jpg?width=120');
+  assert.deepEqual(clusters[0].bbox, [6.9583, 50.9268, 6.9654, 50.942]);
+  const [lng, lat] = clusters[0].geometry.coordinates;
+  assert.ok(Math.abs(lat - 50.9367) < 0.001 && Math.abs(lng - 6.9609) < 0.001);
+
+  // A product alone in its cell is a point of its own; Bonn is outside the tile
+  const products = features.filter(feature => !feature.properties.cluster);
+  assert.deepEqual(products.map(feature => feature.id), ['product:4']);
+});
+
+test('from singleProductZoom on, every product is its own point', () => {
+  const tile = { z: 15, x: 17016, y: 10978 };
+  const bounds = getTileBounds(tile);
+  const lat = (bounds.north + bounds.south) / 2;
+  const lng = (bounds.west + bounds.east) / 2;
+
+  const features = clusterTile([hit(1, lat, lng), hit(2, lat, lng)], tile, { singleProductZoom: 15 });
+  assert.deepEqual(features.map(feature => feature.properties.cluster), [false, false]);
+  assert.equal(clusterTile([hit(1, lat, lng), hit(2, lat, lng)], tile, { singleProductZoom: 16 }).length, 1);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPrewarmer, createCityManifestReader, loadCityManifest } = require('../lib/prewarm');
+const { logger } = require('../lib/logger');
+
+logger.setLevel('silent');
+
+// A cut-down collection schema; server.js passes the API's own
+const SCHEMA = {
+  cityName: { type: 'string', min: 1, max: 100, required: true },
+  lat: { type: 'number', min: -90, max: 90, required: true },
+  lng: { type: 'number', min: -180, max: 180, required: true },
+  radiusKm: { type: 'number', min: 0.1, max: 500, default: 25 },
+  hitsPerPage: { type: 'integer', min: 1, max: 100, default: 6 },
+  collectionHandle: { type: 'string', max: 255 },
+  locale: { type: 'string' },
+  shop: { type: 'string', min: 1, max: 255 }
+};
+
+function writeManifest(cities) {
+  const manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prewarm-')), 'cities.json');
+  fs.writeFileSync(manifestPath, JSON.stringify(cities));
+  return manifestPath;
+}
+
+test('manifest entries get the schema defaults and are checked against its caps', () => {
+  const [city] = loadCityManifest(writeManifest([{ cityName: 'Köln', lat: '50.94', lng: 6.96 }]), SCHEMA);
+  assert.deepEqual(city, { cityName: 'Köln', lat: 50.94, lng: 6.96, radiusKm: 25, hitsPerPage: 6 });
+
+  assert.throws(
+    () => loadCityManifest(writeManifest([{ cityName: 'Köln', lat: 50.94, lng: 6.96 }, { cityName: 'Bonn', lat: 50.7, hitsPerPage: 500 }]), SCHEMA),
+    /City manifest entry 1: hitsPerPage must be between 1 and 100, lng is required/
+  );
+});
+
+test('the same city listed per shop and locale keeps a status per entry', async () => {
+  const manifestPath = writeManifest([
+    { cityName: 'Köln', lat: 50.94, lng: 6.96, collectionHandle: 'koeln' },
+    { cityName: 'Köln', lat: 50.94, lng: 6.96, collectionHandle: 'koeln', locale: 'en', shop: 'en.myshopify.com' }
+  ]);
+
+  const prewarmer = createPrewarmer({
+    manifestPath,
+    schema: SCHEMA,
+    warmCity: async spec => {
+      if (spec.locale === 'en') throw new Error('Algolia timed out');
+      return { products: 8 };
+    }
+  });
+  await prewarmer.run();
+
+  const { cities, lastRun } = prewarmer.status();
+  assert.deepEqual(cities.map(city => [city.shop, city.locale, city.state]), [
+    [null, null, 'warm'],
+    ['en.myshopify.com', 'en', 'failed']
+  ]);
+  assert.equal(lastRun.failed, 1);
+});
+
+test('the manifest reader returns null while the file is missing', () => {
+  const manifestPath = writeManifest([{ cityName: 'Köln', lat: 50.94, lng: 6.96 }]);
+  const readCityManifest = createCityManifestReader(manifestPath, SCHEMA);
+
+  assert.equal(readCityManifest().length, 1);
+  fs.unlinkSync(manifestPath);
+  assert.equal(readCityManifest(), null);
+});
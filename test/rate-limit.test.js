@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/rate-limit');
+
+test('take() spends the burst, then limits until tokens refill', () => {
+  const limiter = createRateLimiter({ burst: 2, perMinute: 60 });
+
+  assert.equal(limiter.take('a', 0).allowed, true);
+  assert.equal(limiter.take('a', 0).allowed, true);
+
+  const limited = limiter.take('a', 0);
+  assert.equal(limited.allowed, false);
+  assert.equal(limited.retryAfterSec, 1);
+
+  assert.equal(limiter.take('a', 1000).allowed, true);
+});
+
+test('per-client limited counts are dropped with their bucket', () => {
+  const limiter = createRateLimiter({ burst: 1, perMinute: 60, maxBuckets: 2 });
+
+  limiter.take('a', 0);
+  limiter.take('a', 0);
+  assert.deepEqual(limiter.stats(0).lowest.find(client => client.key === 'a'), { key: 'a', tokens: 0, limited: 1 });
+
+  // Two new clients push 'a' out of the LRU
+  limiter.take('b', 0);
+  limiter.take('c', 0);
+
+  const stats = limiter.stats(0);
+  assert.equal(stats.clients, 2);
+  assert.equal(stats.limited, 1);
+  assert.equal(stats.evicted, 1);
+  assert.equal(stats.lowest.find(client => client.key === 'a'), undefined);
+
+  // A returning client starts from a clean count
+  limiter.take('a', 0);
+  assert.equal(limiter.stats(0).lowest.find(client => client.key === 'a').limited, 0);
+});
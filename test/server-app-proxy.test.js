@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const SECRET = 'test-proxy-secret';
+const SHOP = 'close-canvas.myshopify.com';
+
+// Köln for every shop, plus an English variant for one of them and an entry
+// that leaves radiusKm and hitsPerPage to the (non-default) config
+const manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'app-proxy-')), 'cities.json');
+fs.writeFileSync(manifestPath, JSON.stringify({
+  cities: [
+    { cityName: 'Köln', lat: 50.9413, lng: 6.9583, radiusKm: 10, collectionHandle: 'koeln', hitsPerPage: 4 },
+    { cityName: 'Cologne', lat: 50.9413, lng: 6.9583, radiusKm: 10, collectionHandle: 'koeln', hitsPerPage: 4, locale: 'en', shop: 'close-canvas-en.myshopify.com' },
+    { cityName: 'Köln', lat: 50.9413, lng: 6.9583, collectionHandle: 'koeln-defaults' }
+  ]
+}));
+
+// Signs like Shopify does: sorted key=value pairs without separators
+function proxyPath(handle, params) {
+  const query = { shop: SHOP, path_prefix: '/apps/geo', timestamp: String(Math.floor(Date.now() / 1000)), ...params };
+  const message = Object.keys(query).map(key => `${key}=${query[key]}`).sort().join('');
+  const signature = crypto.createHmac('sha256', SECRET).update(message).digest('hex');
+  return `/proxy/collections/${handle}?${new URLSearchParams({ ...query, signature })}`;
+}
+
+let server;
+
+test.before(async () => {
+  server = await startServer({
+    SHOPIFY_APP_PROXY_SECRET: SECRET,
+    PREWARM_MANIFEST_PATH: manifestPath,
+    DEFAULT_RADIUS_KM: '12',
+    COLLECTION_HITS_PER_PAGE: '5',
+    RATE_LIMIT_ENABLED: 'true',
+    RATE_LIMIT_PROXY_BURST: '10',
+    RATE_LIMIT_PROXY_PER_MINUTE: '0.1'
+  });
+});
+
+test.after(() => server.close());
+
+test('signed proxy requests get Liquid for the city mapped to the collection', async () => {
+  const first = await server.get(proxyPath('koeln'));
+
+  assert.equal(first.status, 200);
+  assert.match(first.headers.get('content-type'), /^application\/liquid/);
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  assert.match(first.body, /data-city="Köln"/);
+  assert.match(first.body, /lang="de-DE"/);
+  assert.equal((first.body.match(/data-location-photo=/g) || []).length, 4);
+
+  const second = await server.get(proxyPath('koeln'));
+  assert.equal(second.headers.get('x-cache'), 'HIT');
+});
+
+test('format=html returns a full document; a shop-specific entry wins', async () => {
+  const { status, headers, body } = await server.get(proxyPath('koeln', {
+    shop: 'close-canvas-en.myshopify.com',
+    format: 'html'
+  }));
+
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/html/);
+  assert.match(body, /^<!DOCTYPE html>/);
+  assert.match(body, /<title>Art near Cologne<\/title>/);
+  assert.match(body, /<link rel="preload" as="image"/);
+  assert.match(body, /data-city="Cologne"/);
+});
+
+test('manifest entries share cache entries with API requests under the configured defaults', async () => {
+  const proxied = await server.get(proxyPath('koeln-defaults'));
+  assert.equal(proxied.status, 200);
+
+  const { body } = await server.post('/api/pre-generate-collection', {
+    lat: 50.9413, lng: 6.9583, cityName: 'Köln', collectionHandle: 'koeln-defaults'
+  });
+  assert.equal(body.cached, true);
+  assert.equal(body.stats.products, 5);
+});
+
+test('unsigned, tampered or stale requests are rejected before anything else', async () => {
+  const unsigned = await server.get(`/proxy/collections/koeln?shop=${SHOP}`);
+  assert.equal(unsigned.status, 401);
+  assert.equal(unsigned.body.error.code, 'invalid_signature');
+
+  const tampered = await server.get(proxyPath('koeln').replace('shop=close-canvas', 'shop=other'));
+  assert.equal(tampered.status, 401);
+
+  const stale = await server.get(proxyPath('koeln', { timestamp: String(Math.floor(Date.now() / 1000) - 3600) }));
+  assert.equal(stale.status, 401);
+  assert.equal(stale.body.error.code, 'expired_signature');
+});
+
+test('collections without a mapped city are a 404', async () => {
+  const { status, body } = await server.get(proxyPath('hamburg'));
+
+  assert.equal(status, 404);
+  assert.equal(body.error.code, 'not_found');
+});
+
+test('a missing city manifest is reported as not configured', async () => {
+  fs.renameSync(manifestPath, `${manifestPath}.moved`);
+  try {
+    const { status, body } = await server.get(proxyPath('koeln'));
+    assert.equal(status, 503);
+    assert.equal(body.error.code, 'not_configured');
+  } finally {
+    fs.renameSync(`${manifestPath}.moved`, manifestPath);
+  }
+});
+
+test('proxy requests are rate limited per verified shop, not per IP', async () => {
+  const unsigned = await server.get('/proxy/collections/koeln?shop=busy.myshopify.com');
+  assert.equal(unsigned.status, 401);
+  assert.equal(unsigned.headers.get('ratelimit-limit'), null);
+
+  const statuses = [];
+  for (let i = 0; i < 11; i++) {
+    statuses.push((await server.get(proxyPath('koeln', { shop: 'busy.myshopify.com' }))).status);
+  }
+  assert.deepEqual(statuses, [...Array(10).fill(200), 429]);
+
+  // Same IP, another shop: its own bucket
+  const other = await server.get(proxyPath('koeln', { shop: 'quiet.myshopify.com' }));
+  assert.equal(other.status, 200);
+  assert.equal(other.headers.get('ratelimit-remaining'), '9');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// SEARCH_SIMULATE_FAILURE swaps every index for a failing backend
+let server;
+
+test.before(async () => {
+  server = await startServer({
+    SEARCH_SIMULATE_FAILURE: 'error',
+    SEARCH_RETRIES: '0',
+    SEARCH_BREAKER_THRESHOLD: '1',
+    SEARCH_BREAKER_RESET_MS: '60000'
+  });
+});
+
+test.after(() => server.close());
+
+test('with nothing cached, a search outage is a 503 flagged as degraded', async () => {
+  const first = await server.post('/api/nearby-search', { lat: 50.94, lng: 6.96 });
+
+  assert.equal(first.status, 503);
+  assert.equal(first.body.error.code, 'search_unavailable');
+  assert.equal(first.body.degraded, true);
+  assert.equal(first.body.degradedReason, 'search_error');
+
+  // The circuit is open now - requests fail fast and say when to retry
+  const second = await server.post('/api/pre-generate-collection', { lat: 50.94, lng: 6.96, cityName: 'Köln' });
+
+  assert.equal(second.status, 503);
+  assert.equal(second.body.degradedReason, 'circuit_open');
+  assert.equal(second.headers.get('retry-after'), '60');
+  assert.equal((await server.get('/')).body.search_circuit, 'open');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startServer({
+    RATE_LIMIT_ENABLED: 'true',
+    RATE_LIMIT_COLLECTION_BURST: '2',
+    RATE_LIMIT_COLLECTION_PER_MINUTE: '0.1',
+    RATE_LIMIT_SSR_BURST: '5',
+    RATE_LIMIT_SSR_PER_MINUTE: '0.1'
+  });
+});
+
+test.after(() => server.close());
+
+test('GET ssr.html has its own bucket, separate from the collection API', async () => {
+  const url = '/collections/koeln/ssr.html?lat=50.9413&lng=6.9583&cityName=K%C3%B6ln';
+  const collection = { lat: 50.9413, lng: 6.9583, cityName: 'Köln', collectionHandle: 'koeln' };
+
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await server.post('/api/pre-generate-collection', collection)).status, 200);
+  }
+  assert.equal((await server.post('/api/pre-generate-collection', collection)).status, 429);
+
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    const response = await server.get(url);
+    statuses.push(response.status);
+    if (i === 0) assert.equal(response.headers.get('ratelimit-limit'), '5');
+  }
+  assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+
+const SECRET = 'test-webhook-secret';
+const KOELN = { lat: 50.9413, lng: 6.9583 };
+const COLLECTION = { ...KOELN, cityName: 'Köln', collectionHandle: 'koeln', hitsPerPage: 8 };
+
+let server;
+
+test.before(async () => {
+  server = await startServer({
+    SHOPIFY_WEBHOOK_SECRET: SECRET,
+    SHOPIFY_WEBHOOK_REGENERATE_DELAY_MS: '60000'
+  });
+});
+
+test.after(() => server.close());
+
+function sendWebhook(topic, product, options = {}) {
+  const body = JSON.stringify(product);
+  const hmac = crypto.createHmac('sha256', options.secret || SECRET).update(body).digest('base64');
+
+  return server.request('POST', '/webhooks/shopify/products', {
+    rawBody: body,
+    headers: { 'Content-Type': 'application/json', 'X-Shopify-Topic': topic, 'X-Shopify-Hmac-Sha256': hmac }
+  });
+}
+
+async function findEntries(tag) {
+  const { body } = await server.get(`/admin/cache/entries?tag=${encodeURIComponent(tag)}`, { admin: true });
+  return body.entries;
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 50; i++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail('condition not met in time');
+}
+
+// The first product in the cached Köln collection
+async function warmKoeln() {
+  await server.post('/api/pre-generate-collection', COLLECTION);
+  await server.post('/api/nearby-search', { ...KOELN, radiusKm: 10 });
+
+  const [collection] = await findEntries('city:köln');
+  const tag = collection.tags.find(tag => tag.startsWith('product:'));
+  return tag.slice('product:'.length);
+}
+
+test('webhooks with a missing or wrong HMAC are rejected', async () => {
+  const unsigned = await server.request('POST', '/webhooks/shopify/products', {
+    body: { id: 1, handle: 'x' },
+    headers: { 'X-Shopify-Topic': 'products/update' }
+  });
+  assert.equal(unsigned.status, 401);
+  assert.equal(unsigned.body.error.code, 'invalid_signature');
+
+  const wrongSecret = await sendWebhook('products/update', { id: 1, handle: 'x' }, { secret: 'other' });
+  assert.equal(wrongSecret.status, 401);
+});
+
+test('other topics are acknowledged and ignored', async () => {
+  const { status, body } = await sendWebhook('orders/create', { id: 1 });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { topic: 'orders/create', ignored: true });
+});
+
+test('large product payloads are accepted', async () => {
+  const { status } = await sendWebhook('products/update', {
+    id: 1,
+    handle: 'not-cached',
+    body_html: 'x'.repeat(300 * 1024)
+  });
+
+  assert.equal(status, 200);
+});
+
+test('a normal update purges nearby entries and regenerates collections in place', async () => {
+  const handle = await warmKoeln();
+
+  const { status, body } = await sendWebhook('products/update', { id: 1, handle, status: 'active' });
+  assert.equal(status, 200);
+  assert.equal(body.unavailable, false);
+  assert.equal(body.regenerating, 1);
+
+  // Still served from cache until the delayed regeneration runs
+  const entries = await findEntries(`product:${handle}`);
+  assert.deepEqual(entries.map(entry => entry.type), ['ssr-collection']);
+});
+
+test('an unavailable product is purged and left out of every rebuild', async () => {
+  const handle = await warmKoeln();
+
+  const { body } = await sendWebhook('products/update', { id: 1, handle, status: 'draft' });
+  assert.equal(body.unavailable, true);
+  assert.ok(body.purged >= 1);
+  assert.equal(body.regenerating, 1);
+
+  // Regenerated right away, without the product the index still returns
+  await waitFor(async () => (await findEntries('city:köln')).length === 1);
+  assert.deepEqual(await findEntries(`product:${handle}`), []);
+
+  const nearby = await server.post('/api/nearby-search', { ...KOELN, radiusKm: 10 });
+  assert.ok(nearby.body.hits.every(hit => hit.handle !== handle));
+
+  // Available again: searches return it once more
+  await sendWebhook('products/update', { id: 1, handle, status: 'active' });
+  const restored = await server.post('/api/nearby-search', { ...KOELN, radiusKm: 10, hitsPerPage: 50 });
+  assert.ok(restored.body.hits.some(hit => hit.handle === handle));
+});
@@ -0,0 +1,285 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const KOELN = { lat: 50.9413, lng: 6.9583 };
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.close());
+
+test('health check reports the search circuit', async () => {
+  const { status, body } = await server.get('/');
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+  assert.equal(body.search_circuit, 'closed');
+});
+
+test('nearby search: miss, then cached hit with the same results', async () => {
+  const request = { ...KOELN, radiusKm: 5, hitsPerPage: 6 };
+
+  const first = await server.post('/api/nearby-search', request);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.cached, false);
+  assert.equal(first.body.hits.length, 6);
+  assert.ok(first.body.hits.every(hit => hit.distanceKm <= 5));
+
+  const second = await server.post('/api/nearby-search', request);
+  assert.equal(second.body.cached, true);
+  assert.equal(second.body.stale, false);
+  assert.deepEqual(second.body.hits, first.body.hits);
+
+  // Any parameter change is a different cache entry
+  const wider = await server.post('/api/nearby-search', { ...request, radiusKm: 6 });
+  assert.equal(wider.body.cached, false);
+});
+
+test('nearby search: widening in an empty area stays within the step cap', async () => {
+  const { status, body } = await server.post('/api/nearby-search', {
+    lat: 0, lng: -30, radiusKm: 0.5, minResults: 5, maxRadiusKm: 500, debug: true
+  }, { admin: true });
+
+  assert.equal(status, 200);
+  assert.equal(body.hits.length, 0);
+  assert.equal(body.debug.radiiTried.length, 3);
+  assert.equal(body.debug.radiiTried[2], 500);
+});
+
+test('nearby search: a fallback request never answers a geo search for the same point', async () => {
+  const request = { ...KOELN, radiusKm: 5, hitsPerPage: 3, maxPerLocation: 1 };
+
+  const fallback = await server.post('/api/nearby-search', { ...request, fallback: true });
+  assert.equal(fallback.status, 200);
+
+  const geo = await server.post('/api/nearby-search', request);
+  assert.equal(geo.body.cached, false);
+  assert.ok(geo.body.hits.every(hit => typeof hit.distanceKm === 'number'));
+});
+
+test('nearby search: cursor pages never repeat an artwork', async () => {
+  const request = { ...KOELN, radiusKm: 50, hitsPerPage: 4 };
+  const seen = new Set();
+  let cursor;
+
+  for (let page = 0; page < 2; page++) {
+    const { status, body } = await server.post('/api/nearby-search', { ...request, ...(cursor && { cursor }) });
+    assert.equal(status, 200);
+    body.hits.forEach(hit => {
+      assert.ok(!seen.has(hit.handle), `${hit.handle} repeated`);
+      seen.add(hit.handle);
+    });
+    cursor = body.nextCursor;
+    assert.ok(cursor);
+  }
+
+  const mismatched = await server.post('/api/nearby-search', { ...request, radiusKm: 40, cursor });
+  assert.equal(mismatched.status, 400);
+  assert.equal(mismatched.body.error.code, 'invalid_cursor');
+});
+
+test('nearby search: excludes the product being viewed and applies filters', async () => {
+  const { body } = await server.post('/api/nearby-search', {
+    ...KOELN,
+    radiusKm: 50,
+    currentHandle: 'dom-bei-nacht',
+    filters: { vendors: ['Jonas Weber'] }
+  });
+
+  assert.deepEqual(body.hits.map(hit => hit.handle).sort(), ['beethoven-in-bonn', 'hafen-am-morgen']);
+});
+
+test('nearby search: invalid requests get field errors and the request ID', async () => {
+  const { status, headers, body } = await server.post('/api/nearby-search', { lat: 91 }, {
+    headers: { 'X-Request-Id': 'test-request-1' }
+  });
+
+  assert.equal(status, 400);
+  assert.equal(headers.get('x-request-id'), 'test-request-1');
+  assert.equal(body.error.code, 'validation_failed');
+  assert.equal(body.error.requestId, 'test-request-1');
+  assert.deepEqual(body.error.details.map(detail => detail.field), ['lat', 'lng']);
+});
+
+test('collection: renders SSR HTML with lazy images after the first two and JSON-LD', async () => {
+  const { status, body } = await server.post('/api/pre-generate-collection', {
+    ...KOELN,
+    cityName: 'Köln',
+    collectionHandle: 'koeln',
+    hitsPerPage: 8,
+    structuredData: true
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.cached, false);
+  assert.equal(body.stats.city, 'Köln');
+
+  const cards = body.html.match(/<div class="masonry-item" data-location-photo=/g);
+  assert.equal(cards.length, body.stats.products);
+  assert.ok(body.stats.products <= 8);
+
+  const images = body.html.match(/<img[^>]*>/g).filter(img => img.includes('/products/'));
+  assert.ok(!images[0].includes('loading="lazy"'));
+  assert.ok(images[0].includes('fetchpriority="high"'));
+  assert.ok(images[2].includes('loading="lazy"'));
+  assert.equal(body.preload.rel, 'preload');
+  assert.ok(images[0].includes(body.preload.href.split('?')[0]));
+
+  const jsonLd = body.html.match(/<script type="application\/ld\+json">(.*?)<\/script>/s);
+  const data = JSON.parse(jsonLd[1]);
+  assert.equal(data['@type'], 'CollectionPage');
+  assert.equal(data.mainEntity.numberOfItems, body.stats.products);
+
+  // The inline script reads the city from the data attribute, not the template
+  const script = body.html.match(/<script>(.*?)<\/script>/s)[1];
+  assert.ok(!script.includes('Köln'));
+  assert.ok(!script.includes('console.log'));
+});
+
+test('collection: cached hit, and forceRegenerate needs an admin token', async () => {
+  const request = { ...KOELN, cityName: 'Koeln Cache', hitsPerPage: 4 };
+
+  const first = await server.post('/api/pre-generate-collection', request);
+  const second = await server.post('/api/pre-generate-collection', request);
+  assert.equal(first.body.cached, false);
+  assert.equal(second.body.cached, true);
+  assert.equal(second.body.html, first.body.html);
+  assert.equal(second.body.cacheAge, '0h');
+
+  const anonymous = await server.post('/api/pre-generate-collection', { ...request, forceRegenerate: true });
+  assert.equal(anonymous.status, 401);
+
+  const forced = await server.post('/api/pre-generate-collection', { ...request, forceRegenerate: true }, { admin: true });
+  assert.equal(forced.status, 200);
+  assert.equal(forced.body.cached, false);
+});
+
+test('purging a city tag drops its cached collections', async () => {
+  const request = { ...KOELN, cityName: 'Purge Town', hitsPerPage: 4 };
+  await server.post('/api/pre-generate-collection', request);
+
+  const purge = await server.post('/admin/cache/purge', { tags: ['city:purge town'] }, { admin: true });
+  assert.equal(purge.status, 200);
+  assert.equal(purge.body.purged, 1);
+
+  const after = await server.post('/api/pre-generate-collection', request);
+  assert.equal(after.body.cached, false);
+});
+
+test('metrics count cache hits and misses per endpoint', async () => {
+  assert.equal((await server.get('/metrics')).status, 401);
+
+  const { status, body } = await server.get('/metrics', { admin: true });
+  assert.equal(status, 200);
+  assert.match(body, /cache_requests_total\{endpoint="nearby",status="hit"\} \d+/);
+  assert.match(body, /cache_requests_total\{endpoint="ssr-collection",status="miss"\} \d+/);
+  assert.match(body, /dedup_hits_total\{preset="collection",stage="input"\} \d+/);
+});
+
+test('batch jobs generate collections in the background and report per-item status', async () => {
+  const invalid = await server.post('/admin/jobs/collections', { items: [{ lat: 50.94 }] }, { admin: true });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.error.details.map(detail => detail.field), ['items[0].lng', 'items[0].cityName']);
+
+  const created = await server.post('/admin/jobs/collections', {
+    items: [{ ...KOELN, cityName: 'Batch Köln' }, { lat: 52.51, lng: 13.4, cityName: 'Batch Berlin' }]
+  }, { admin: true });
+  assert.equal(created.status, 202);
+  assert.equal(created.headers.get('location'), `/admin/jobs/${created.body.id}`);
+
+  let job;
+  for (let attempt = 0; attempt < 50; attempt++) {
+    job = (await server.get(`/admin/jobs/${created.body.id}`, { admin: true })).body;
+    if (job.state === 'completed') break;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  assert.equal(job.state, 'completed');
+  assert.deepEqual(job.items.map(item => [item.cityName, item.state]), [['Batch Köln', 'done'], ['Batch Berlin', 'done']]);
+  assert.ok(job.items.every(item => item.products > 0));
+
+  // The generated pages are now cached for the regular endpoint
+  const cached = await server.post('/api/pre-generate-collection', { ...KOELN, cityName: 'Batch Köln' });
+  assert.equal(cached.body.cached, true);
+});
+
+test('collection HTML over GET: cache headers, compression and 304 revalidation', async () => {
+  const url = `${server.baseUrl}/collections/koeln/ssr.html?lat=50.9413&lng=6.9583&cityName=K%C3%B6ln`;
+
+  const plain = await fetch(url, { headers: { 'Accept-Encoding': 'identity' } });
+  const html = await plain.text();
+  assert.equal(plain.status, 200);
+  assert.equal(plain.headers.get('content-type'), 'text/html; charset=utf-8');
+  assert.match(html, /^<div class="ssr-geo-results"/);
+  assert.match(plain.headers.get('etag'), /^"[\w-]+"$/);
+  assert.equal(plain.headers.get('vary'), 'Accept-Encoding');
+  assert.match(plain.headers.get('cache-control'), /^public, max-age=\d+, stale-while-revalidate=\d+, stale-if-error=\d+$/);
+  assert.ok(Date.parse(plain.headers.get('last-modified')));
+  assert.match(plain.headers.get('link'), /rel=preload; as=image/);
+
+  // fetch decompresses transparently - the body must match the plain one
+  const compressed = await fetch(url, { headers: { 'Accept-Encoding': 'br, gzip' } });
+  assert.equal(compressed.headers.get('content-encoding'), 'br');
+  assert.equal(compressed.headers.get('etag'), plain.headers.get('etag').replace(/"$/, '-br"'));
+  assert.equal(compressed.headers.get('x-cache'), 'HIT');
+  assert.equal(await compressed.text(), html);
+
+  // fetch sends "Cache-Control: no-cache" with conditional headers unless the cache mode says otherwise
+  const revalidated = await fetch(url, {
+    cache: 'no-cache',
+    headers: { 'Accept-Encoding': 'identity', 'If-None-Match': plain.headers.get('etag') }
+  });
+  assert.equal(revalidated.status, 304);
+
+  const changed = await fetch(url, { headers: { 'Accept-Encoding': 'identity', 'If-None-Match': '"outdated"' } });
+  assert.equal(changed.status, 200);
+  await changed.text();
+
+  const invalid = await server.get('/collections/not%20a%20handle/ssr.html?lat=1&lng=1&cityName=x');
+  assert.equal(invalid.status, 400);
+});
+
+test('map clusters: GeoJSON per viewport, cached per tile', async () => {
+  const request = { bbox: [6.8, 50.85, 7.2, 51.0], zoom: 10.6 };
+
+  const first = await server.post('/api/map-clusters', request);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.type, 'FeatureCollection');
+  assert.equal(first.body.zoom, 10);
+  assert.deepEqual(first.body.tiles.map(tile => tile.cache), ['miss', 'miss', 'miss', 'miss']);
+
+  const cluster = first.body.features.find(feature => feature.properties.cluster);
+  assert.ok(cluster.properties.count > 1);
+  assert.equal(cluster.properties.representative.featured, true);
+  const total = first.body.features.reduce((sum, feature) => sum + feature.properties.count, 0);
+  assert.equal(total, first.body.tiles.reduce((sum, tile) => sum + tile.products, 0));
+
+  // An overlapping viewport reuses the tiles it shares
+  const panned = await server.post('/api/map-clusters', { ...request, bbox: [6.9, 50.85, 7.2, 50.9] });
+  assert.deepEqual(panned.body.tiles.map(tile => tile.cache), ['hit', 'hit']);
+
+  const filtered = await server.post('/api/map-clusters', { ...request, filters: { featuredOnly: true } });
+  assert.deepEqual(filtered.body.tiles.map(tile => tile.cache), ['miss', 'miss', 'miss', 'miss']);
+  assert.ok(filtered.body.features.every(feature => (feature.properties.representative || feature.properties).featured));
+
+  const tooWide = await server.post('/api/map-clusters', { bbox: [5, 47, 15, 55], zoom: 12 });
+  assert.equal(tooWide.status, 400);
+  assert.equal(tooWide.body.error.code, 'too_many_tiles');
+
+  const inverted = await server.post('/api/map-clusters', { bbox: [7.2, 50.85, 6.8, 51.0], zoom: 10 });
+  assert.equal(inverted.status, 400);
+  assert.equal(inverted.body.error.details[0].field, 'bbox');
+});
+
+test('webhooks answer 503 while no webhook secret is configured', async () => {
+  const { status, body } = await server.post('/webhooks/shopify/products', { id: 1 }, {
+    headers: { 'X-Shopify-Topic': 'products/update', 'X-Shopify-Hmac-Sha256': 'c2lnbmF0dXJl' }
+  });
+
+  assert.equal(status, 503);
+  assert.equal(body.error.code, 'not_configured');
+});
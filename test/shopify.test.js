@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  verifyAppProxySignature,
+  isAppProxyTimestampFresh,
+  escapeLiquid,
+  createUnavailableProducts
+} = require('../lib/shopify');
+
+// The example from Shopify's app proxy documentation (shared secret "hush")
+const SIGNED_QUERY = 'extra=1&extra=2&shop=shop-name.myshopify.com&path_prefix=%2Fapps%2Fawesome_reviews' +
+  '&timestamp=1317327555&signature=a9718877bea71c2484f91608a7eaea1532bdf71f5c56825065fa4ccabe549ef3';
+
+test('app proxy signatures are checked over every other param', () => {
+  assert.equal(verifyAppProxySignature(SIGNED_QUERY, 'hush'), true);
+  assert.equal(verifyAppProxySignature(SIGNED_QUERY.replace('extra=2', 'extra=3'), 'hush'), false);
+  assert.equal(verifyAppProxySignature(`${SIGNED_QUERY}&format=html`, 'hush'), false);
+  assert.equal(verifyAppProxySignature(SIGNED_QUERY, 'other-secret'), false);
+  assert.equal(verifyAppProxySignature(SIGNED_QUERY.replace(/&signature=.*/, ''), 'hush'), false);
+  assert.equal(verifyAppProxySignature(SIGNED_QUERY, null), false);
+});
+
+test('app proxy timestamps older or newer than the max age are rejected', () => {
+  const now = 1317327555 * 1000;
+
+  assert.equal(isAppProxyTimestampFresh('1317327555', 300, now), true);
+  assert.equal(isAppProxyTimestampFresh('1317327555', 300, now + 301 * 1000), false);
+  assert.equal(isAppProxyTimestampFresh('1317327555', 300, now - 301 * 1000), false);
+  assert.equal(isAppProxyTimestampFresh(undefined, 300, now), false);
+  assert.equal(isAppProxyTimestampFresh(undefined, 0, now), true);
+});
+
+test('Liquid-looking text in HTML is escaped, everything else left alone', () => {
+  const html = '<h2>{{ shop.name }} {%- endraw %} {x} {{{</h2><script>{"a":{"b":1}}</script>';
+  const escaped = escapeLiquid(html);
+
+  // Only the inserted {{ '{' }} outputs remain as Liquid
+  assert.doesNotMatch(escaped.split("{{ '{' }}").join(''), /\{[{%]/);
+  assert.equal(escaped.split("{{ '{' }}").join('{'), html);
+  assert.equal(escapeLiquid('<p>{x} 100%</p>'), '<p>{x} 100%</p>');
+});
+
+test('createUnavailableProducts drops listed hits until removed or expired', () => {
+  const unavailable = createUnavailableProducts({ ttlMs: 1000 });
+  const hits = [{ id: 1, handle: 'sold' }, { id: 2, handle: 'Deleted-By-Id' }, { id: 3, handle: 'kept' }];
+
+  assert.equal(unavailable.filterHits(hits), hits);
+
+  unavailable.add({ handle: 'sold' }, 0);
+  unavailable.add({ id: 2 }, 0);
+  assert.deepEqual(unavailable.filterHits(hits, 500).map(hit => hit.id), [3]);
+
+  unavailable.remove({ handle: 'sold' });
+  assert.deepEqual(unavailable.filterHits(hits, 500).map(hit => hit.id), [1, 3]);
+
+  assert.deepEqual(unavailable.filterHits(hits, 1000).map(hit => hit.id), [1, 2, 3]);
+  assert.equal(unavailable.size, 0);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCollectionStructuredData, renderJsonLd } = require('../lib/structured-data');
+
+const products = [
+  {
+    id: 8000000000,
+    handle: 'koelner-dom-im-abendlicht',
+    title: 'Kölner Dom im Abendlicht',
+    vendor: 'Anna Schmidt',
+    product_image: 'https://cdn.shopify.com/s/files/koelner-dom.jpg',
+    variants_min_price: 49,
+    meta: {
+      location: {
+        details: { latitude: 50.941278, longitude: 6.958281, formatted_address: 'Domkloster 4, 50667 Köln' }
+      }
+    }
+  },
+  { id: 8000000001, handle: 'ohne-preis', title: 'Ohne Preis' }
+];
+
+const collectionData = {
+  cityName: 'Köln',
+  lat: 50.94,
+  lng: 6.96,
+  radiusKm: 30,
+  collectionHandle: 'koeln',
+  locale: 'de-DE',
+  currency: 'EUR'
+};
+
+test('CollectionPage with a GeoCircle search area and an ItemList of artworks', () => {
+  const data = buildCollectionStructuredData(products, collectionData, { baseUrl: 'https://shop.example' });
+
+  assert.equal(data['@context'], 'https://schema.org');
+  assert.equal(data['@type'], 'CollectionPage');
+  assert.equal(data.url, 'https://shop.example/collections/koeln');
+  assert.equal(data.inLanguage, 'de-DE');
+  assert.deepEqual(data.spatialCoverage.geo, {
+    '@type': 'GeoCircle',
+    geoMidpoint: { '@type': 'GeoCoordinates', latitude: 50.94, longitude: 6.96 },
+    geoRadius: 30000
+  });
+  assert.equal(data.mainEntity['@type'], 'ItemList');
+  assert.equal(data.mainEntity.numberOfItems, 2);
+  assert.deepEqual(data.mainEntity.itemListElement.map(element => element.position), [1, 2]);
+});
+
+test('artworks carry offer, artist and where they were painted', () => {
+  const data = buildCollectionStructuredData(products, collectionData, { baseUrl: 'https://shop.example' });
+  const [artwork, withoutPrice] = data.mainEntity.itemListElement.map(element => element.item);
+
+  assert.deepEqual(artwork['@type'], ['Product', 'VisualArtwork']);
+  assert.equal(artwork.url, 'https://shop.example/products/koelner-dom-im-abendlicht');
+  assert.equal(artwork.productID, '8000000000');
+  assert.deepEqual(artwork.artist, { '@type': 'Person', name: 'Anna Schmidt' });
+  assert.deepEqual(artwork.offers, {
+    '@type': 'Offer',
+    price: '49.00',
+    priceCurrency: 'EUR',
+    availability: 'https://schema.org/InStock',
+    url: artwork.url
+  });
+  assert.deepEqual(artwork.locationCreated, {
+    '@type': 'Place',
+    name: 'Domkloster 4, 50667 Köln',
+    address: 'Domkloster 4, 50667 Köln',
+    geo: { '@type': 'GeoCoordinates', latitude: 50.941278, longitude: 6.958281 }
+  });
+
+  assert.equal(withoutPrice.offers, undefined);
+  assert.equal(withoutPrice.locationCreated, undefined);
+});
+
+test('renderJsonLd escapes markup so titles cannot close the script element', () => {
+  const html = renderJsonLd({ name: '</script><script>alert(1)</script> & more' });
+
+  assert.ok(html.startsWith('<script type="application/ld+json">'));
+  assert.equal(html.match(/<\/script>/g).length, 1);
+  const json = html.slice('<script type="application/ld+json">'.length, -'</script>'.length);
+  assert.equal(JSON.parse(json).name, '</script><script>alert(1)</script> & more');
+});